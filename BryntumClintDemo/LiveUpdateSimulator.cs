@@ -0,0 +1,163 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.WebSockets;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace ScheduleBoard
+{
+    // Stand-in for the push channel of the field service app. Streams made up status changes and GPS pings for the
+    // technicians in data.json over a WebSocket, in the format LiveUpdates.js reads, so the board can be tried without
+    // the real backend
+    public class LiveUpdateSimulator
+    {
+        // Statuses a technician moves through, with the ids used in data.json
+        static readonly (int Id, string Name, int StatusId)[] EventTypes =
+        {
+            (-2, "Available", -3),
+            (-9, "In Transit", -1),
+            (-5, "Working", -1),
+            (-14, "Wrap Up", -1)
+        };
+
+        // Trucks start around the same center as the map
+        const double CenterLat = 35.15874;
+        const double CenterLon = -89.74324;
+
+        readonly string dataPath;
+        readonly Random random = new Random();
+
+        public LiveUpdateSimulator(string dataPath)
+        {
+            this.dataPath = dataPath;
+        }
+
+        class Truck
+        {
+            public int Id;
+            public int EventType;
+            public double Lat;
+            public double Lon;
+            public double Heading;
+        }
+
+        public async Task RunAsync(WebSocket socket, CancellationToken cancellationToken)
+        {
+            var trucks = await LoadTrucksAsync();
+            var receiving = ReceiveUntilClosedAsync(socket, cancellationToken);
+
+            // Everyone's position first, then a few updates every second
+            foreach (var truck in trucks)
+            {
+                await SendAsync(socket, PositionMessage(truck), cancellationToken);
+            }
+
+            while (socket.State == WebSocketState.Open && !receiving.IsCompleted)
+            {
+                await Task.WhenAny(receiving, Task.Delay(1000, cancellationToken));
+
+                for (var i = 0; i < 3 && socket.State == WebSocketState.Open; i++)
+                {
+                    var truck = trucks[random.Next(trucks.Count)];
+
+                    if (random.NextDouble() < 0.1)
+                    {
+                        truck.EventType = (truck.EventType + 1) % EventTypes.Length;
+                        await SendAsync(socket, StatusMessage(truck), cancellationToken);
+                    }
+
+                    // Only moving trucks move
+                    if (EventTypes[truck.EventType].Name == "In Transit")
+                    {
+                        Drive(truck);
+                        await SendAsync(socket, PositionMessage(truck), cancellationToken);
+                    }
+                }
+            }
+
+            if (socket.State == WebSocketState.CloseReceived)
+            {
+                await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, null, cancellationToken);
+            }
+        }
+
+        async Task<List<Truck>> LoadTrucksAsync()
+        {
+            using var stream = File.OpenRead(dataPath);
+            using var data = await JsonDocument.ParseAsync(stream);
+
+            return data.RootElement.GetProperty("technicians").GetProperty("rows").EnumerateArray()
+                .Select(technician => new Truck
+                {
+                    Id = technician.GetProperty("id").GetInt32(),
+                    EventType = Math.Max(Array.FindIndex(EventTypes, type => type.Id == technician.GetProperty("currentEventTypeId").GetInt32()), 0),
+                    Lat = CenterLat + (random.NextDouble() - 0.5) * 0.3,
+                    Lon = CenterLon + (random.NextDouble() - 0.5) * 0.4,
+                    Heading = random.NextDouble() * 360
+                })
+                .ToList();
+        }
+
+        // About 300 m in a slowly changing direction
+        void Drive(Truck truck)
+        {
+            truck.Heading = (truck.Heading + random.Next(-30, 31) + 360) % 360;
+
+            var radians = truck.Heading * Math.PI / 180;
+
+            truck.Lat += Math.Cos(radians) * 0.003;
+            truck.Lon += Math.Sin(radians) * 0.003 / Math.Cos(truck.Lat * Math.PI / 180);
+        }
+
+        object StatusMessage(Truck truck)
+        {
+            var type = EventTypes[truck.EventType];
+
+            return new
+            {
+                type = "status",
+                technicianId = truck.Id,
+                currentEventTypeId = type.Id,
+                currentEventType = type.Name,
+                statusId = type.StatusId
+            };
+        }
+
+        object PositionMessage(Truck truck) => new
+        {
+            type = "position",
+            technicianId = truck.Id,
+            lat = Math.Round(truck.Lat, 6),
+            lon = Math.Round(truck.Lon, 6),
+            heading = Math.Round(truck.Heading),
+            at = DateTime.UtcNow
+        };
+
+        static Task SendAsync(WebSocket socket, object message, CancellationToken cancellationToken)
+        {
+            var bytes = Encoding.UTF8.GetBytes(JsonSerializer.Serialize(message));
+
+            return socket.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, cancellationToken);
+        }
+
+        // The board sends nothing, but reading is needed to notice when it closes the connection
+        static async Task ReceiveUntilClosedAsync(WebSocket socket, CancellationToken cancellationToken)
+        {
+            var buffer = new byte[1024];
+
+            while (socket.State == WebSocketState.Open)
+            {
+                var result = await socket.ReceiveAsync(new ArraySegment<byte>(buffer), cancellationToken);
+
+                if (result.MessageType == WebSocketMessageType.Close)
+                {
+                    break;
+                }
+            }
+        }
+    }
+}
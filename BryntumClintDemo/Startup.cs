@@ -1,17 +1,27 @@
 using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Hosting;
 using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using System;
 using System.Collections.Generic;
+using System.IO;
 using System.Linq;
+using System.Text.Json;
 using System.Threading.Tasks;
 
 namespace ScheduleBoard
 {
     public class Startup
     {
+        public Startup(IConfiguration configuration)
+        {
+            Configuration = configuration;
+        }
+
+        public IConfiguration Configuration { get; }
+
         // This method gets called by the runtime. Use this method to add services to the container.
         // For more information on how to configure your application, visit https://go.microsoft.com/fwlink/?LinkID=398940
         public void ConfigureServices(IServiceCollection services)
@@ -28,6 +38,7 @@ namespace ScheduleBoard
 
             app.UseRouting();
             app.UseStaticFiles();
+            app.UseWebSockets();
 
             app.UseEndpoints(endpoints =>
             {
@@ -35,6 +46,34 @@ namespace ScheduleBoard
                 {
                     await context.Response.WriteAsync("Hello World!");
                 });
+
+                // Settings for the board from the ScheduleBoard section, read by BoardConfig.js. Keeps secrets such as
+                // the Mapbox access token out of the scripts
+                endpoints.MapGet("/config.js", async context =>
+                {
+                    var settings = Configuration.GetSection("ScheduleBoard").GetChildren()
+                        .Where(setting => !string.IsNullOrEmpty(setting.Value))
+                        .ToDictionary(setting => setting.Key, setting => setting.Value);
+
+                    context.Response.ContentType = "application/javascript";
+                    await context.Response.WriteAsync($"window.scheduleBoardConfig = {JsonSerializer.Serialize(settings)};");
+                });
+
+                // Technician status and GPS positions for LiveUpdates.js, made up by LiveUpdateSimulator until the
+                // field service backend provides them
+                endpoints.Map("/live", async context =>
+                {
+                    if (!context.WebSockets.IsWebSocketRequest)
+                    {
+                        context.Response.StatusCode = StatusCodes.Status400BadRequest;
+                        return;
+                    }
+
+                    using var socket = await context.WebSockets.AcceptWebSocketAsync();
+                    var simulator = new LiveUpdateSimulator(Path.Combine(env.WebRootPath, "Scripts", "Bryntum", "data", "data.json"));
+
+                    await simulator.RunAsync(socket, context.RequestAborted);
+                });
             });
         }
     }
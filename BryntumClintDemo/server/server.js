@@ -0,0 +1,331 @@
+﻿// Local stand-in for the board's backend, to develop and test against without the field service system. Serves the
+// board like the ASP.NET app does and implements the CrudManager load and sync requests for the appointments,
+// technicians, assignments, dependencies and calendars stores, keeping the data in database.json next to this file.
+// The database starts as a copy of the static data.json, with the technician of each appointment turned into an
+// assignment. Needs nothing but Node:
+//
+//     node server/server.js [--port 3005] [--reset]
+//
+// and open http://localhost:3005/ScheduleBoard/Scheduler.html. --reset starts over from data.json. The board hosted by
+// the ASP.NET app loads and syncs here too, see loadUrl and syncUrl in the ScheduleBoard section of appsettings.json
+//
+// Sync contract, see AbstractCrudManager. A load request is a GET with a data parameter holding
+// { type: 'load', requestId, stores: [storeId, ...] }, answered with { success, requestId, revision, [storeId]: { rows } }.
+// A sync request is a POST of { type: 'sync', requestId, revision, [storeId]: { added, updated, removed } }. Added
+// records carry a $PhantomId, the client side id, and get a real id which is returned as
+// { success, requestId, revision, [storeId]: { rows: [{ $PhantomId, id }], removed: [{ id }] } }. References to
+// records added in the same request, such as the eventId of a new assignment, may use their phantom id. A sync
+// applies completely or not at all, a failed one is answered with { success: false, message }
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const
+    root = path.join(__dirname, '..', 'wwwroot'),
+    seedFile = path.join(root, 'Scripts', 'Bryntum', 'data', 'data.json'),
+    databaseFile = path.join(__dirname, 'database.json'),
+    settingsFile = path.join(__dirname, '..', 'appsettings.json'),
+    // The board is served below the same path as on IIS, data urls in BoardConfig depend on it
+    basePath = '/ScheduleBoard';
+
+// Stores in the order changes are applied, referenced stores first. references maps fields holding the id of a
+// record in another store to that store, to resolve phantom ids
+const stores = {
+    calendars: {},
+    technicians: { references: { calendar: 'calendars', workingHours: 'calendars' } },
+    appointments: { references: { calendar: 'calendars' } },
+    assignments: { references: { eventId: 'appointments', resourceId: 'technicians' } },
+    dependencies: { references: { from: 'appointments', to: 'appointments' } }
+};
+
+const phantomIdField = '$PhantomId';
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+
+class SyncError extends Error {}
+
+// The stores as { [storeId]: rows } with a revision, which counts the syncs applied
+class Database {
+    constructor({ file, seed, reset = false, saveDelay = 1000 }) {
+        const me = this;
+
+        me.file = file;
+        me.saveDelay = saveDelay;
+
+        const data = !reset && fs.existsSync(file) ? readJson(file) : Database.fromSeed(readJson(seed));
+
+        me.revision = data.revision || 1;
+        me.data = Object.fromEntries(Object.keys(stores).map(storeId => [storeId, data[storeId] || []]));
+
+        me.save();
+    }
+
+    // Single assignment data, appointments with a resourceId, as separate appointments and assignments
+    static fromSeed(seed) {
+        const
+            rows = storeId => seed[storeId]?.rows || [],
+            assignments = [];
+
+        const appointments = rows('appointments').map(({ resourceId, ...appointment }) => {
+            if (resourceId != null) {
+                assignments.push({ id: assignments.length + 1, eventId: appointment.id, resourceId });
+            }
+
+            return appointment;
+        });
+
+        return {
+            revision: 1,
+            calendars: rows('calendars'),
+            technicians: rows('technicians'),
+            appointments,
+            assignments,
+            dependencies: rows('dependencies')
+        };
+    }
+
+    load(storeIds = Object.keys(stores)) {
+        const response = { revision: this.revision };
+
+        storeIds.forEach(storeId => {
+            if (!stores[storeId]) {
+                throw new SyncError(`Unknown store ${storeId}`);
+            }
+
+            response[storeId] = { rows: this.data[storeId] };
+        });
+
+        return response;
+    }
+
+    // Applies the changes of a sync request to a copy, which replaces the data only once all of them applied
+    sync(changes) {
+        const
+            me = this,
+            data = structuredClone(me.data),
+            // Real ids of added records by their phantom id, per store
+            idMaps = {},
+            response = {};
+
+        Object.entries(stores).forEach(([storeId, { references = {} }]) => {
+            const
+                { added = [], updated = [], removed = [] } = changes[storeId] || {},
+                rows = data[storeId],
+                idMap = idMaps[storeId] = new Map(),
+                resolve = record => {
+                    Object.entries(references).forEach(([field, referencedStoreId]) => {
+                        const id = idMaps[referencedStoreId]?.get(record[field]);
+
+                        if (id !== undefined) {
+                            record[field] = id;
+                        }
+                    });
+
+                    return record;
+                },
+                indexOf = id => rows.findIndex(row => row.id === id);
+
+            if (!added.length && !updated.length && !removed.length) {
+                return;
+            }
+
+            let nextId = rows.reduce((max, { id }) => typeof id === 'number' ? Math.max(max, id) : max, 0) + 1;
+
+            added.forEach(({ [phantomIdField]: phantomId, id, ...record }) => {
+                const realId = nextId++;
+
+                idMap.set(phantomId, realId);
+                rows.push(resolve({ ...record, id: realId }));
+            });
+
+            updated.forEach(record => {
+                const index = indexOf(record.id);
+
+                if (index === -1) {
+                    throw new SyncError(`Can't update ${storeId} record ${record.id}, it does not exist`);
+                }
+
+                rows[index] = resolve({ ...rows[index], ...record });
+            });
+
+            // Removing a record which is already gone, such as one removed by another dispatcher, is not an error
+            removed.forEach(({ id }) => {
+                const index = indexOf(id);
+
+                if (index !== -1) {
+                    rows.splice(index, 1);
+                }
+            });
+
+            response[storeId] = {
+                rows: [...idMap].map(([phantomId, id]) => ({ [phantomIdField]: phantomId, id })),
+                removed: removed.map(({ id }) => ({ id }))
+            };
+        });
+
+        me.data = data;
+        me.revision++;
+        me.requestSave();
+
+        return { revision: me.revision, ...response };
+    }
+
+    // Writing the whole file takes a while, once for syncs in a row
+    requestSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify({ revision: this.revision, ...this.data }));
+    }
+}
+
+function send(response, status, body, contentType = 'application/json; charset=utf-8') {
+    response.writeHead(status, {
+        'Content-Type': contentType,
+        // Lets the board sync here while served by the ASP.NET app
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// Like the /config.js endpoint of Startup.cs, with the board loading and syncing here. Live updates need the ASP.NET app
+function configScript() {
+    const settings = fs.existsSync(settingsFile) ? readJson(settingsFile).ScheduleBoard || {} : {};
+
+    delete settings.liveUpdatesUrl;
+
+    return `window.scheduleBoardConfig = ${JSON.stringify({
+        ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== '' && value != null)),
+        loadUrl: `${basePath}/api/load`,
+        syncUrl: `${basePath}/api/sync`
+    })};`;
+}
+
+function serveFile(response, relativePath) {
+    let decoded;
+
+    try {
+        decoded = decodeURIComponent(relativePath);
+    }
+    catch (error) {
+        return send(response, 400, { success: false, message: 'Invalid path' });
+    }
+
+    const file = path.join(root, path.normalize(decoded).replace(/^([/\\]|\.\.)+/, ''));
+
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return send(response, 404, { success: false, message: 'Not found' });
+    }
+
+    send(response, 200, fs.readFileSync(file), contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream');
+}
+
+async function handleCrudRequest(database, request, response, type) {
+    let pack;
+
+    try {
+        pack = type === 'load'
+            ? JSON.parse(new URL(request.url, 'http://localhost').searchParams.get('data') || '{}')
+            : JSON.parse(await readBody(request));
+    }
+    catch (error) {
+        return send(response, 400, { success: false, message: 'Request is not valid JSON' });
+    }
+
+    try {
+        const result = type === 'load'
+            ? database.load(pack.stores?.map(store => typeof store === 'string' ? store : store.storeId))
+            : database.sync(pack);
+
+        send(response, 200, { success: true, requestId: pack.requestId, ...result });
+    }
+    catch (error) {
+        if (!(error instanceof SyncError)) {
+            console.error(error);
+        }
+
+        // The CrudManager shows message and keeps the changes to send again
+        send(response, 200, { success: false, requestId: pack.requestId, message: error.message });
+    }
+}
+
+function createServer(database) {
+    return http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            return send(response, 204, '');
+        }
+
+        if (pathname === '/' || pathname === basePath || pathname === `${basePath}/`) {
+            response.writeHead(302, { Location: `${basePath}/Scheduler.html` });
+            return response.end();
+        }
+
+        if (!pathname.startsWith(`${basePath}/`)) {
+            return send(response, 404, { success: false, message: 'Not found' });
+        }
+
+        const relativePath = pathname.slice(basePath.length);
+
+        if (relativePath === '/api/load' && request.method === 'GET') {
+            return handleCrudRequest(database, request, response, 'load');
+        }
+
+        if (relativePath === '/api/sync' && request.method === 'POST') {
+            return handleCrudRequest(database, request, response, 'sync');
+        }
+
+        if (relativePath === '/config.js') {
+            return send(response, 200, configScript(), contentTypes['.js']);
+        }
+
+        serveFile(response, relativePath);
+    });
+}
+
+if (require.main === module) {
+    const
+        args = process.argv.slice(2),
+        portIndex = args.indexOf('--port'),
+        port = Number(portIndex !== -1 ? args[portIndex + 1] : process.env.PORT) || 3005,
+        database = new Database({ file: databaseFile, seed: seedFile, reset: args.includes('--reset') });
+
+    createServer(database).listen(port, () => {
+        console.info(`Schedule board at http://localhost:${port}${basePath}/Scheduler.html, data in ${databaseFile}`);
+    });
+
+    // Keep the last changes when stopped
+    process.on('SIGINT', () => {
+        database.save();
+        process.exit();
+    });
+}
+
+module.exports = { Database, createServer, stores };
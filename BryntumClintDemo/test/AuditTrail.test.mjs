@@ -0,0 +1,61 @@
+﻿// Tests of the audit trail export. From BryntumClintDemo run
+//
+//     node --test test/
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Bryntum helpers it imports read these while loading
+globalThis.window = globalThis;
+globalThis.location = { href: 'http://localhost/' };
+globalThis.navigator = { userAgent: 'node', platform: 'linux' };
+globalThis.document = { querySelector: () => null };
+
+const { formatValue, toCsv } = await import('../wwwroot/Scripts/Bryntum/AuditTrail.js');
+
+describe('formatValue', () => {
+    it('formats dates to the minute', () => {
+        assert.equal(formatValue(new Date(2021, 6, 12, 8, 30, 15)), '2021-07-12 08:30');
+    });
+
+    it('names records by their name, or id without one', () => {
+        assert.equal(formatValue({ isModel: true, id: 7, name: 'Ann' }), 'Ann');
+        assert.equal(formatValue({ isModel: true, id: 7 }), '7');
+    });
+
+    it('formats other values', () => {
+        assert.equal(formatValue(true), 'Yes');
+        assert.equal(formatValue(false), 'No');
+        assert.equal(formatValue([1, 2]), '2 item(s)');
+        assert.equal(formatValue({ display_name: 'Memphis, TN' }), 'Memphis, TN');
+        assert.equal(formatValue({ lat: 35 }), '{"lat":35}');
+        assert.equal(formatValue(30), '30');
+    });
+
+    it('leaves missing values empty', () => {
+        assert.equal(formatValue(null), '');
+        assert.equal(formatValue(undefined), '');
+        assert.equal(formatValue(''), '');
+    });
+});
+
+describe('toCsv', () => {
+    const columns = [{ field: 'date', text: 'Date' }, { field: 'after', text: 'After' }];
+
+    it('writes a header row and a row per entry', () => {
+        assert.equal(toCsv([{ date: new Date(2021, 6, 12, 8, 30, 15), after: 'Ann' }, { after: null }], columns), 'Date,After\r\n2021-07-12 08:30:15,Ann\r\n,');
+    });
+
+    it('quotes values with commas, quotes or line breaks', () => {
+        assert.equal(toCsv([{ after: 'Smith, "Bob"' }, { after: 'two\nlines' }], columns), 'Date,After\r\n,"Smith, ""Bob"""\r\n,"two\nlines"');
+    });
+
+    it('keeps values which spreadsheets would run as formulas text', () => {
+        const csv = toCsv(['=HYPERLINK("http://example.com")', '+1', '-1', '@SUM(A1)', '\tcmd'].map(after => ({ after })), columns);
+
+        assert.deepEqual(csv.split('\r\n').slice(1), [',"\'=HYPERLINK(""http://example.com"")"', ",'+1", ",'-1", ",'@SUM(A1)", ",'\tcmd"]);
+    });
+
+    it('writes negative numbers as numbers', () => {
+        assert.equal(toCsv([{ after: -30 }], columns), 'Date,After\r\n,-30');
+    });
+});
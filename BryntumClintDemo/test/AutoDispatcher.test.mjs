@@ -0,0 +1,259 @@
+﻿// Tests of the AutoDispatcher, which has no Bryntum dependency and runs on Node alone. From BryntumClintDemo run
+//
+//     node --test test/
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AutoDispatcher, { parsePriority, parseDue, findFreeSlot, insertAndPush } from '../wwwroot/Scripts/Bryntum/AutoDispatcher.js';
+
+const
+    msPerHour = 3600000,
+    // Times on Monday July 12 2021, or as many days later
+    at = (hours, day = 0) => new Date(2021, 6, 12 + day, Math.floor(hours), (hours % 1) * 60),
+    workdays = (count = 1) => Array.from({ length: count }, (value, day) => ({ startDate: at(8, day), endDate: at(17, day) })),
+    booking = (start, end, day = 0) => ({ startDate: at(start, day), endDate: at(end, day) }),
+    appointment = (hours, fields) => ({ name: `${hours}h`, serviceLine: 'HVAC', durationMS: hours * msPerHour, ...fields }),
+    technician = (name, primaryDisciplineId = 578) => ({ name, primaryDisciplineId }),
+    // Same driving time between any two appointments
+    travelTime = minutes => ({ getDuration: () => minutes * 60000 });
+
+describe('parsePriority', () => {
+    it('reads the rank the priority starts with', () => {
+        assert.equal(parsePriority('2 - 10 or Up w RS'), 2);
+        assert.equal(parsePriority('1 - Emergency'), 1);
+    });
+
+    it('puts unknown priorities last', () => {
+        assert.equal(parsePriority(''), 9);
+        assert.equal(parsePriority(null), 9);
+        assert.equal(parsePriority('Urgent'), 9);
+    });
+
+    it('ranks 1 the most urgent', () => {
+        assert.equal(parsePriority('0'), 1);
+    });
+});
+
+describe('parseDue', () => {
+    it('reads due dates of the service orders', () => {
+        assert.deepEqual(parseDue('Jul 11 2021 12:00AM'), new Date(2021, 6, 11, 0, 0));
+        assert.deepEqual(parseDue('Jul 11 2021 12:30PM'), new Date(2021, 6, 11, 12, 30));
+        assert.deepEqual(parseDue(' Dec 3 2021 4:15 pm '), new Date(2021, 11, 3, 16, 15));
+    });
+
+    it('passes dates through', () => {
+        const date = at(10);
+
+        assert.equal(parseDue(date), date);
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(parseDue(''), null);
+        assert.equal(parseDue(undefined), null);
+        assert.equal(parseDue('2021-07-11'), null);
+        assert.equal(parseDue('Foo 11 2021 12:00AM'), null);
+    });
+});
+
+describe('findFreeSlot', () => {
+    const find = (hours, fields) => findFreeSlot({ appointment: appointment(hours), intervals: workdays(2), bookings: [], fromDate: at(0), ...fields });
+
+    it('starts at the start of working time', () => {
+        assert.deepEqual(find(2), booking(8, 10));
+    });
+
+    it('starts no earlier than fromDate', () => {
+        assert.deepEqual(find(2, { fromDate: at(9.5) }), booking(9.5, 11.5));
+    });
+
+    it('starts after the bookings it would overlap', () => {
+        assert.deepEqual(find(2, { bookings: [booking(8, 10)] }), booking(10, 12));
+    });
+
+    it('skips gaps that are too short', () => {
+        assert.deepEqual(find(2, { bookings: [booking(8, 9), booking(10, 12)] }), booking(12, 14));
+    });
+
+    it('leaves time to drive to and from the bookings', () => {
+        const travelDuration = () => 0.5 * msPerHour;
+
+        assert.deepEqual(find(2, { bookings: [booking(8, 10)], travelDuration }), booking(10.5, 12.5));
+        assert.deepEqual(find(2, { bookings: [booking(8, 9), booking(11.5, 12)], travelDuration }), booking(12.5, 14.5));
+    });
+
+    it('moves on to the next working interval', () => {
+        assert.deepEqual(find(2, { bookings: [booking(8, 16)] }), booking(8, 10, 1));
+        assert.deepEqual(find(2, { fromDate: at(16) }), booking(8, 10, 1));
+    });
+
+    it('returns null when the appointment fits nowhere', () => {
+        assert.equal(find(10), null);
+        assert.equal(find(2, { bookings: [booking(8, 17), booking(8, 17, 1)] }), null);
+    });
+});
+
+describe('AutoDispatcher#dispatch', () => {
+    const dispatch = ({ appointments, technicians, travelMinutes = 0 }) => new AutoDispatcher({ travelTime: travelTime(travelMinutes) }).dispatch({
+        appointments,
+        technicians: technicians.map(({ technician, bookings = [] }) => ({ technician, intervals: workdays(2), bookings })),
+        fromDate: at(8)
+    });
+
+    it('places the most urgent appointments first', () => {
+        const
+            later = appointment(9, { priority: '3 - Normal' }),
+            urgent = appointment(9, { priority: '1 - Emergency' }),
+            { proposals, unplaced } = dispatch({ appointments: [later, urgent], technicians: [{ technician: technician('Ann') }] });
+
+        assert.deepEqual(unplaced, []);
+        assert.deepEqual(proposals.map(({ appointment, startDate }) => [appointment, startDate]), [[urgent, at(8)], [later, at(8, 1)]]);
+    });
+
+    it('places appointments of the same priority by due date', () => {
+        const
+            dueLater = appointment(9, { priority: '2', due: 'Jul 20 2021 12:00AM' }),
+            dueSooner = appointment(9, { priority: '2', due: 'Jul 13 2021 12:00AM' }),
+            { proposals } = dispatch({ appointments: [dueLater, dueSooner], technicians: [{ technician: technician('Ann') }] });
+
+        assert.deepEqual(proposals.map(({ appointment }) => appointment), [dueSooner, dueLater]);
+    });
+
+    it('works around the appointments proposed before', () => {
+        const
+            appointments = [appointment(3), appointment(3), appointment(3)],
+            { proposals } = dispatch({ appointments, technicians: [{ technician: technician('Ann') }] });
+
+        assert.deepEqual(proposals.map(({ startDate, endDate }) => ({ startDate, endDate })), [booking(8, 11), booking(11, 14), booking(14, 17)]);
+    });
+
+    it('proposes the technician who can start first', () => {
+        const
+            ann = technician('Ann'),
+            bob = technician('Bob'),
+            { proposals } = dispatch({ appointments: [appointment(2)], technicians: [{ technician: ann, bookings: [booking(8, 12)] }, { technician: bob }] });
+
+        assert.equal(proposals[0].technician, bob);
+        assert.deepEqual(proposals[0].startDate, at(8));
+    });
+
+    it('tells the driving time from the previous appointment', () => {
+        const { proposals } = dispatch({
+            appointments: [appointment(2, { location: { lat: 35, lon: -90 } })],
+            technicians: [{ technician: technician('Ann'), bookings: [{ ...booking(8, 10), location: { lat: 35.1, lon: -90 } }] }],
+            travelMinutes: 30
+        });
+
+        assert.deepEqual(proposals[0].startDate, at(10.5));
+        assert.equal(proposals[0].travel, 0.5 * msPerHour);
+    });
+
+    it('leaves out technicians without the skills', () => {
+        const
+            electrical = appointment(2, { serviceLine: 'ELE' }),
+            { proposals, unplaced } = dispatch({ appointments: [electrical], technicians: [{ technician: technician('Ann') }] });
+
+        assert.deepEqual(proposals, []);
+        assert.deepEqual(unplaced, [{ appointment: electrical, reason: 'No qualified technician' }]);
+    });
+
+    it('tells when no qualified technician has room', () => {
+        const
+            long = appointment(10),
+            { proposals, unplaced } = dispatch({ appointments: [long], technicians: [{ technician: technician('Ann') }] });
+
+        assert.deepEqual(proposals, []);
+        assert.deepEqual(unplaced, [{ appointment: long, reason: 'No free slot for a qualified technician' }]);
+    });
+});
+
+describe('AutoDispatcher#suggest', () => {
+    const suggest = ({ technicians, count, appointment: suggested = appointment(2) }) => new AutoDispatcher({ travelTime: travelTime(0) }).suggest({
+        appointment: suggested,
+        technicians: technicians.map(({ technician, bookings = [] }) => ({ technician, intervals: workdays(3), bookings })),
+        fromDate: at(8),
+        count
+    });
+
+    it('offers the earliest slot of each technician and day, best first', () => {
+        const
+            ann = technician('Ann'),
+            bob = technician('Bob'),
+            slots = suggest({ technicians: [{ technician: ann, bookings: [booking(8, 12)] }, { technician: bob }], count: 10 });
+
+        assert.deepEqual(slots.slice(0, 2).map(({ technician, startDate }) => [technician, startDate]), [[bob, at(8)], [ann, at(12)]]);
+        assert.equal(slots.length, 6);
+        assert.deepEqual(slots.filter(slot => slot.technician === bob).map(({ startDate }) => startDate), [at(8), at(8, 1), at(8, 2)]);
+    });
+
+    it('offers no more than count slots', () => {
+        assert.equal(suggest({ technicians: [{ technician: technician('Ann') }, { technician: technician('Bob') }], count: 3 }).length, 3);
+    });
+
+    it('skips days without room', () => {
+        const slots = suggest({ technicians: [{ technician: technician('Ann'), bookings: [booking(8, 16, 1)] }], count: 10 });
+
+        assert.deepEqual(slots.map(({ startDate }) => startDate), [at(8), at(8, 2)]);
+    });
+
+    it('leaves out technicians without the skills', () => {
+        const slots = suggest({ technicians: [{ technician: technician('Ann', 50) }], count: 10 });
+
+        assert.deepEqual(slots, []);
+    });
+
+    it('returns the slots without the working data', () => {
+        const [slot] = suggest({ technicians: [{ technician: technician('Ann') }], count: 1 });
+
+        assert.deepEqual(Object.keys(slot).sort(), ['appointment', 'endDate', 'load', 'score', 'startDate', 'technician', 'travel']);
+    });
+});
+
+describe('insertAndPush', () => {
+    const
+        named = (name, start, end, fields) => ({ name, ...booking(start, end), durationMS: (end - start) * msPerHour, ...fields }),
+        insert = (start, hours, fields) => insertAndPush({
+            appointment: appointment(hours),
+            startDate: at(start),
+            intervals: workdays(),
+            isFixed: booking => booking.frozen,
+            ...fields
+        }),
+        shiftsOf = ({ shifts }) => shifts.map(({ booking: { name }, startDate, endDate }) => ({ name, startDate, endDate }));
+
+    it('pushes the bookings after the insert later', () => {
+        const result = insert(9, 1, { bookings: [named('A', 9, 10), named('B', 10, 11), named('C', 13, 14)] });
+
+        assert.deepEqual({ startDate: result.startDate, endDate: result.endDate }, booking(9, 10));
+        assert.deepEqual(shiftsOf(result), [{ name: 'A', ...booking(10, 11) }, { name: 'B', ...booking(11, 12) }]);
+    });
+
+    it('pushes nothing when there is room', () => {
+        const result = insert(10, 1, { bookings: [named('A', 8, 9), named('B', 11, 12)] });
+
+        assert.deepEqual(result, { ...booking(10, 11), shifts: [] });
+    });
+
+    it('starts after a booking in progress, which stays', () => {
+        const result = insert(9, 1, { bookings: [named('A', 8, 10), named('B', 10, 11)] });
+
+        assert.deepEqual({ startDate: result.startDate, endDate: result.endDate }, booking(10, 11));
+        assert.deepEqual(shiftsOf(result), [{ name: 'B', ...booking(11, 12) }]);
+    });
+
+    it('keeps fixed bookings in place and pushes the others around them', () => {
+        const result = insert(9, 1, { bookings: [named('A', 9, 10), named('Frozen', 10, 11, { frozen: true }), named('B', 11, 12)] });
+
+        assert.deepEqual({ startDate: result.startDate, endDate: result.endDate }, booking(9, 10));
+        assert.deepEqual(shiftsOf(result), [{ name: 'A', ...booking(11, 12) }, { name: 'B', ...booking(12, 13) }]);
+    });
+
+    it('leaves time to drive between the pushed bookings', () => {
+        const result = insert(9, 1, { bookings: [named('A', 10, 11)], travelDuration: () => 0.25 * msPerHour });
+
+        assert.deepEqual(shiftsOf(result), [{ name: 'A', ...booking(10.25, 11.25) }]);
+    });
+
+    it('returns null when the bookings would be pushed out of working hours', () => {
+        assert.equal(insert(9, 2, { bookings: [named('A', 9, 17)] }), null);
+        assert.equal(insert(16, 2, { bookings: [] }), null);
+    });
+});
@@ -0,0 +1,69 @@
+﻿// Tests of the DropValidator against a stand-in for the schedule. From BryntumClintDemo run
+//
+//     node --test test/
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Bryntum helpers it imports read these while loading
+globalThis.window = globalThis;
+globalThis.location = { href: 'http://localhost/' };
+globalThis.navigator = { userAgent: 'node', platform: 'linux' };
+globalThis.document = { querySelector: () => null };
+
+const { default: DropValidator } = await import('../wwwroot/Scripts/Bryntum/DropValidator.js');
+
+const
+    msPerMinute = 60000,
+    // Times on Monday July 12 2021
+    at = hours => new Date(2021, 6, 12, Math.floor(hours), (hours % 1) * 60),
+    appointment = (name, start, end) => ({ name, serviceLine: 'HVAC', startDate: at(start), endDate: at(end), durationMS: (end - start) * 60 * msPerMinute }),
+    technician = bookings => ({ name: 'Ann', primaryDisciplineId: 578, workingCalendar: null, bookings }),
+    validator = (travelMinutes = 0) => new DropValidator({
+        schedule: { eventStore: { getEventsForResource: ({ bookings }) => bookings } },
+        travelTime: { getDuration: () => travelMinutes * msPerMinute },
+        snapToFreeSlot: false
+    }),
+    // Validates moving all the appointments by minutes, like a drag of several appointments does
+    moveAll = (dropValidator, ann, minutes, ignore) => ann.bookings.map(moved => dropValidator.validate({
+        appointment: moved,
+        technician: ann,
+        startDate: new Date(moved.startDate.getTime() + minutes * msPerMinute),
+        endDate: new Date(moved.endDate.getTime() + minutes * msPerMinute),
+        ignore
+    }));
+
+describe('DropValidator#validate', () => {
+    it('refuses a time overlapping another appointment', () => {
+        const
+            ann = technician([appointment('A', 9, 10), appointment('B', 10, 11)]),
+            [result] = moveAll(validator(), ann, 30);
+
+        assert.deepEqual(result, { valid: false, message: 'Overlaps another appointment' });
+    });
+
+    it('lets appointments moved together pass their own old times', () => {
+        const
+            ann = technician([appointment('A', 9, 10), appointment('B', 10, 11)]),
+            results = moveAll(validator(), ann, 30, new Set(ann.bookings));
+
+        assert.deepEqual(results.map(({ valid }) => valid), [true, true]);
+    });
+
+    it('leaves out the appointments moved together when checking travel', () => {
+        const
+            ann = technician([appointment('A', 9, 10), appointment('B', 10.5, 11.5)]),
+            dropValidator = validator(30);
+
+        assert.match(moveAll(dropValidator, ann, 30)[0].message, /to drive to B$/);
+        assert.deepEqual(moveAll(dropValidator, ann, 30, new Set(ann.bookings)).map(({ valid }) => valid), [true, true]);
+    });
+
+    it('still counts the appointments not moved', () => {
+        const
+            a = appointment('A', 9, 10),
+            ann = technician([a, appointment('B', 10, 11)]),
+            [result] = moveAll(validator(), ann, 30, new Set([a]));
+
+        assert.deepEqual(result, { valid: false, message: 'Overlaps another appointment' });
+    });
+});
@@ -0,0 +1,72 @@
+﻿// Tests of the map geometry, which needs no DOM. From BryntumClintDemo run
+//
+//     node --test test/
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MapAdapter from '../wwwroot/Scripts/Bryntum/MapAdapter.js';
+import SvgMapAdapter from '../wwwroot/Scripts/Bryntum/SvgMapAdapter.js';
+
+// An SvgMapAdapter without its elements, enough for the projection
+const svgMap = ({ width = 600, height = 400, center = { lat: 35.15, lon: -90.05 }, zoom = 10 } = {}) => Object.assign(Object.create(SvgMapAdapter.prototype), {
+    width,
+    height,
+    center,
+    zoom,
+    render() {}
+});
+
+describe('MapAdapter.getBounds', () => {
+    it('spans all the locations', () => {
+        assert.deepEqual(MapAdapter.getBounds([{ lat: 35, lon: -90 }, { lat: 36, lon: -91 }, { lat: 35.5, lon: -89 }]), {
+            north: 36,
+            south: 35,
+            east: -89,
+            west: -91
+        });
+    });
+
+    it('skips missing locations', () => {
+        assert.deepEqual(MapAdapter.getBounds([null, { lat: 35, lon: -90 }, undefined]), { north: 35, south: 35, east: -90, west: -90 });
+    });
+
+    it('returns null when there are no locations', () => {
+        assert.equal(MapAdapter.getBounds([]), null);
+        assert.equal(MapAdapter.getBounds([null]), null);
+    });
+});
+
+describe('SvgMapAdapter', () => {
+    const assertClose = (actual, expected) => Object.keys(expected).forEach(key => assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key} ${actual[key]} is not ${expected[key]}`));
+
+    it('projects the center to the middle of the map', () => {
+        assertClose(svgMap().project({ lat: 35.15, lon: -90.05 }), { x: 300, y: 200 });
+    });
+
+    it('unprojects the points it projects', () => {
+        const map = svgMap({ zoom: 12.5 });
+
+        for (const location of [{ lat: 35.2, lon: -90.1 }, { lat: 34.9, lon: -89.7 }, { lat: -33.9, lon: 151.2 }]) {
+            assertClose(map.unproject(map.project(location)), location);
+        }
+    });
+
+    it('fits the locations inside the padding', () => {
+        const
+            map = svgMap(),
+            locations = [{ lat: 35, lon: -90.2 }, { lat: 35.3, lon: -89.9 }];
+
+        map.fitBounds(locations, { padding: 40 });
+
+        for (const { x, y } of locations.map(location => map.project(location))) {
+            assert.ok(x >= 40 - 1e-6 && x <= 560 + 1e-6 && y >= 40 - 1e-6 && y <= 360 + 1e-6, `${x}, ${y} is outside the padding`);
+        }
+    });
+
+    it('fits a map smaller than its padding', () => {
+        const map = svgMap({ width: 60, height: 50 });
+
+        map.fitBounds([{ lat: 35, lon: -90.2 }, { lat: 35.3, lon: -89.9 }], { padding: 40 });
+
+        assert.ok(Number.isFinite(map.zoom));
+    });
+});
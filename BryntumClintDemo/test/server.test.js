@@ -0,0 +1,147 @@
+﻿// Tests of the sync contract of the local server, see server/server.js. From BryntumClintDemo run
+//
+//     node --test test/
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database, createServer } = require('../server/server.js');
+
+const seed = {
+    success: true,
+    calendars: { rows: [{ id: 'standard', name: 'Standard hours' }] },
+    technicians: { rows: [{ id: 1, name: 'Ann', workingHours: 'standard' }, { id: 2, name: 'Bob' }] },
+    appointments: {
+        rows: [
+            { id: 10, name: 'Assigned', startDate: '2021-07-12T08:00:00', endDate: '2021-07-12T10:00:00', resourceId: 1 },
+            { id: 11, name: 'Unassigned' }
+        ]
+    }
+};
+
+const storeIds = ['calendars', 'technicians', 'appointments', 'assignments', 'dependencies'];
+
+describe('server', () => {
+    let folder, file, database, server, baseUrl;
+
+    const
+        load = async () => (await fetch(`${baseUrl}/api/load?data=${encodeURIComponent(JSON.stringify({ type: 'load', requestId: 1, stores: storeIds }))}`)).json(),
+        sync = async changes => (await fetch(`${baseUrl}/api/sync`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'sync', requestId: 2, ...changes })
+        })).json(),
+        rowsOf = (response, storeId) => response[storeId].rows;
+
+    before(async () => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-board-'));
+        file = path.join(folder, 'database.json');
+
+        const seedFile = path.join(folder, 'data.json');
+
+        fs.writeFileSync(seedFile, JSON.stringify(seed));
+
+        database = new Database({ file, seed: seedFile, saveDelay: 0 });
+        server = createServer(database);
+
+        await new Promise(resolve => server.listen(0, resolve));
+
+        baseUrl = `http://localhost:${server.address().port}/ScheduleBoard`;
+    });
+
+    after(async () => {
+        clearTimeout(database.saveTimer);
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('loads the seed with the technician of each appointment as an assignment', async () => {
+        const response = await load();
+
+        assert.equal(response.success, true);
+        assert.equal(response.requestId, 1);
+        assert.equal(response.revision, 1);
+        assert.deepEqual(rowsOf(response, 'technicians').map(({ id }) => id), [1, 2]);
+        assert.deepEqual(rowsOf(response, 'appointments').map(({ id }) => id), [10, 11]);
+        assert.ok(rowsOf(response, 'appointments').every(appointment => !('resourceId' in appointment)));
+        assert.deepEqual(rowsOf(response, 'assignments'), [{ id: 1, eventId: 10, resourceId: 1 }]);
+        assert.deepEqual(rowsOf(response, 'dependencies'), []);
+    });
+
+    it('gives added records real ids and remaps references to their phantom ids', async () => {
+        const response = await sync({
+            revision: 1,
+            appointments: {
+                added: [{ $PhantomId: '_generatedModel1', name: 'Follow-up' }],
+                updated: [{ id: 11, name: 'Renamed' }]
+            },
+            assignments: {
+                added: [{ $PhantomId: '_generatedModel2', eventId: '_generatedModel1', resourceId: 2 }],
+                removed: [{ id: 1 }]
+            },
+            dependencies: {
+                added: [{ $PhantomId: '_generatedModel3', from: '_generatedModel1', to: 10, type: 2 }]
+            }
+        });
+
+        assert.equal(response.success, true);
+        assert.equal(response.requestId, 2);
+        assert.equal(response.revision, 2);
+        assert.deepEqual(response.appointments.rows, [{ $PhantomId: '_generatedModel1', id: 12 }]);
+        assert.deepEqual(response.assignments, { rows: [{ $PhantomId: '_generatedModel2', id: 2 }], removed: [{ id: 1 }] });
+        assert.deepEqual(response.dependencies.rows, [{ $PhantomId: '_generatedModel3', id: 1 }]);
+    });
+
+    it('loads the synced changes', async () => {
+        const response = await load();
+
+        assert.equal(response.revision, 2);
+        assert.deepEqual(rowsOf(response, 'appointments').map(({ id, name }) => [id, name]), [[10, 'Assigned'], [11, 'Renamed'], [12, 'Follow-up']]);
+        assert.deepEqual(rowsOf(response, 'assignments'), [{ id: 2, eventId: 12, resourceId: 2 }]);
+        assert.deepEqual(rowsOf(response, 'dependencies'), [{ id: 1, from: 12, to: 10, type: 2 }]);
+    });
+
+    it('rejects a sync updating an unknown record, without applying any of it', async () => {
+        const response = await sync({
+            revision: 2,
+            technicians: {
+                added: [{ $PhantomId: '_generatedModel4', name: 'Cy' }]
+            },
+            appointments: {
+                updated: [{ id: 99, name: 'Gone' }]
+            }
+        });
+
+        assert.equal(response.success, false);
+        assert.equal(response.message, "Can't update appointments record 99, it does not exist");
+
+        const loaded = await load();
+
+        assert.equal(loaded.revision, 2);
+        assert.deepEqual(rowsOf(loaded, 'technicians').map(({ id }) => id), [1, 2]);
+    });
+
+    it('answers requests which are not JSON with an error', async () => {
+        const response = await fetch(`${baseUrl}/api/sync`, { method: 'POST', body: 'not json' });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { success: false, message: 'Request is not valid JSON' });
+    });
+
+    it('answers paths which do not decode with an error', async () => {
+        const response = await fetch(`${baseUrl}/%E0%A4%A`);
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { success: false, message: 'Invalid path' });
+        assert.equal((await load()).success, true);
+    });
+
+    it('keeps the data in the database file', () => {
+        database.save();
+
+        const reopened = new Database({ file, seed: path.join(folder, 'data.json') });
+
+        assert.deepEqual(reopened.load(), database.load());
+    });
+});
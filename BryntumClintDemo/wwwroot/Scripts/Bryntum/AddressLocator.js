@@ -0,0 +1,83 @@
+﻿import Base from './lib/Core/Base.js';
+import { addressKey } from './Geocoder.js';
+
+// Changing any of these locates the appointment again
+const addressFields = ['street', 'city', 'state', 'zip'];
+
+// Locates appointments that came without coordinates, and those whose address is edited, using a Geocoder. The found
+// location goes in the geocoded field, which is not persistable so it is neither saved nor recorded for undo. The
+// cache of the Geocoder makes finding it again next session cheap. Appointments that can't be located get
+// geocodeStatus 'unresolved', which the unassigned grid flags
+export default class AddressLocator extends Base {
+    static get defaultConfig() {
+        return {
+            eventStore: null,
+            geocoder: null
+        };
+    }
+
+    construct(config) {
+        super.construct(config);
+
+        this.eventStore.on({
+            change: 'onEventStoreChange',
+            thisObj: this
+        });
+
+        // In case the data is already loaded
+        this.eventStore.forEach(appointment => this.locate(appointment));
+    }
+
+    onEventStoreChange({ action, records, record, changes }) {
+        switch (action) {
+            case 'dataset':
+            case 'add':
+                records.forEach(appointment => this.locate(appointment));
+                break;
+
+            case 'update':
+                if (addressFields.some(field => field in changes)) {
+                    this.locate(record, true);
+                }
+                break;
+        }
+    }
+
+    // Appointments with coordinates from the server are left alone, unless force is passed because their address
+    // changed
+    async locate(appointment, force = false) {
+        const { address } = appointment;
+
+        if (!force && address?.lat && address?.lon) {
+            return;
+        }
+
+        if (!appointment.street && !appointment.zip) {
+            appointment.set({ geocoded: null, geocodeStatus: 'unresolved' });
+            return;
+        }
+
+        const
+            key = addressKey(appointment),
+            location = await this.geocoder.geocode(appointment);
+
+        // Ignore the answer if the appointment was removed or its address changed again meanwhile
+        if (this.isDestroyed || !this.eventStore.includes(appointment) || addressKey(appointment) !== key) {
+            return;
+        }
+
+        appointment.set({
+            geocoded: location,
+            geocodeStatus: location ? 'located' : 'unresolved'
+        });
+    }
+
+    doDestroy() {
+        this.eventStore.un({
+            change: 'onEventStoreChange',
+            thisObj: this
+        });
+
+        super.doDestroy();
+    }
+}
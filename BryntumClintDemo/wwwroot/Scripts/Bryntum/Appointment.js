@@ -1,5 +1,8 @@
 ﻿import EventModel from './lib/SchedulerPro/model/EventModel.js';
 
+// Service order statuses, in the order an appointment normally moves through them
+const statuses = ['New', 'Unscheduled', 'Scheduled', 'In Transit', 'Started', 'Wrap Up', 'Finished', 'Billing Approved'];
+
 // Custom Appointment model, based on EventModel with additional fields and changed default
 export default class Appointment extends EventModel {
     static get fields() {
@@ -20,7 +23,33 @@ export default class Appointment extends EventModel {
             { name: 'priority' },
             { name: 'elapsed' },
             { name: 'codes' },
-            { name: 'address', defaultValue: {} }
+            { name: 'address', defaultValue: {} },
+            { name: 'confirmed', type: 'boolean', defaultValue: false },
+            // Frozen appointments are locked in place, see isDraggable and isResizable. Freezing also sets
+            // manuallyScheduled so the engine won't move them through dependencies, the value before is kept in
+            // frozenManuallyScheduled for unfreezing
+            { name: 'frozen', type: 'boolean', defaultValue: false },
+            { name: 'frozenBy' },
+            { name: 'frozenAt', type: 'date' },
+            { name: 'frozenManuallyScheduled', type: 'boolean' },
+            { name: 'inventoryIssued', type: 'boolean', defaultValue: false },
+            { name: 'notes', defaultValue: '' },
+            // Customer contact for notifications, see Notifications
+            { name: 'phone' },
+            { name: 'email' },
+            // Log of notifications sent to the customer, as { date, channel, to, subject, text, template, status, by }
+            { name: 'messages', defaultValue: [] },
+            { name: 'purchaseOrders', defaultValue: [] },
+            // Who assigned the appointment to which technician and when, as { date, technician, from, by }, oldest first.
+            // Kept by the Schedule, see recordAssignmentChange
+            { name: 'assignmentHistory', defaultValue: [] },
+            // Computed by the unassigned grid from the due date, see Sla.js. Time left in ms and escalation tier
+            { name: 'slaRemaining', type: 'number', persist: false },
+            { name: 'slaTier', type: 'number', persist: false },
+            // Found from the address for appointments without coordinates, see AddressLocator. geocodeStatus is
+            // 'located' or 'unresolved'
+            { name: 'geocoded', persist: false },
+            { name: 'geocodeStatus', persist: false }
         ];
     }
 
@@ -29,4 +58,59 @@ export default class Appointment extends EventModel {
             durationUnit: 'h'
         };
     }
+
+    static get statuses() {
+        return statuses;
+    }
+
+    // Finished and billed orders are closed, no more field work can be done on them
+    get isClosed() {
+        return this.event === 'Finished' || this.event === 'Billing Approved';
+    }
+
+    get isDraggable() {
+        return !this.frozen && super.isDraggable;
+    }
+
+    get isResizable() {
+        return !this.frozen && super.isResizable;
+    }
+
+    // Links to the visits before and after this one, see VisitChains
+    get visitLinks() {
+        return [...(this.incomingDeps || []), ...(this.outgoingDeps || [])];
+    }
+
+    // Visits this one follows, the engine schedules it from them
+    get previousVisits() {
+        return [...(this.incomingDeps || [])].map(link => link.fromEvent);
+    }
+
+    get customerName() {
+        return this.address?.display_name || this.name;
+    }
+
+    get shortAddress() {
+        return [this.street, this.city].filter(part => part).join(', ');
+    }
+
+    get fullAddress() {
+        return [this.street, this.city, [this.state, this.zip].filter(part => part).join(' ')].filter(part => part).join(', ');
+    }
+
+    get hasCoordinates() {
+        return Boolean(this.location);
+    }
+
+    // Coordinates as numbers, null if the address has not been geocoded. A location found for an edited address wins
+    // over the coordinates that came with the appointment
+    get location() {
+        const { address, geocoded } = this;
+
+        if (geocoded) {
+            return geocoded;
+        }
+
+        return address?.lat && address?.lon ? { lat: Number(address.lat), lon: Number(address.lon) } : null;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,844 @@
+﻿import Base from './lib/Core/Base.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import MessageDialog from './lib/Core/widget/MessageDialog.js';
+import Toast from './lib/Core/widget/Toast.js';
+import FormDialog from './FormDialog.js';
+import NotificationComposer from './NotificationComposer.js';
+import RescheduleWizard from './RescheduleWizard.js';
+import Appointment from './Appointment.js';
+import BoardConfig from './BoardConfig.js';
+import { linkTypes } from './VisitChains.js';
+import { getTemplateValues, fillTemplate, getContact } from './Notifications.js';
+
+// Actions behind the Schedule event menu, keyed by menu item ref. An action is disabled when its isEnabled returns
+// false for the clicked appointment, and hidden when its isVisible does. Every change to the data is made in an STM
+// transaction so it can be undone
+const actions = {
+    openServiceOrder: {
+        handler: 'showServiceOrder'
+    },
+    openServiceLocation: {
+        handler: 'showServiceLocation',
+        isEnabled: appointment => Boolean(appointment.street || appointment.hasCoordinates)
+    },
+    openResource: {
+        handler: 'showResource',
+        isEnabled: appointment => Boolean(appointment.resource)
+    },
+    changeEvent: {
+        handler: 'changeEvent',
+        isEnabled: appointment => appointment.event !== 'Billing Approved'
+    },
+    deleteAppointment: {
+        handler: 'deleteAppointment',
+        isEnabled: appointment => !appointment.isClosed && !appointment.frozen
+    },
+    deleteAllAppointments: {
+        handler: 'deleteAllAppointments',
+        isEnabled: appointment => !appointment.isClosed && !appointment.frozen
+    },
+    freezeAppointment: {
+        handler: 'freeze',
+        isEnabled: appointment => !appointment.isClosed,
+        isVisible: appointment => !appointment.frozen
+    },
+    unfreezeAppointment: {
+        handler: 'unfreeze',
+        isVisible: appointment => appointment.frozen
+    },
+    rescheduleServiceOrder: {
+        handler: 'reschedule',
+        isEnabled: appointment => !appointment.isClosed && !appointment.frozen
+    },
+    editVisitLink: {
+        handler: 'editVisitLink',
+        isVisible: appointment => appointment.visitLinks.length > 0
+    },
+    unlinkVisit: {
+        handler: 'unlinkVisit',
+        isEnabled: appointment => !appointment.isClosed,
+        isVisible: appointment => appointment.visitLinks.length > 0
+    },
+    finishServiceOrder: {
+        handler: 'finish',
+        isEnabled: appointment => !appointment.isClosed && Boolean(appointment.resource)
+    },
+    serviceConfirmed: {
+        handler: 'confirm',
+        isEnabled: appointment => !appointment.isClosed && !appointment.confirmed
+    },
+    sendEmailText: {
+        handler: 'sendMessage'
+    },
+    newPurchaseOrder: {
+        handler: 'newPurchaseOrder',
+        isEnabled: appointment => !appointment.isClosed
+    },
+    serviceOrderNotes: {
+        handler: 'editNotes'
+    },
+    issueInventory: {
+        handler: 'issueInventory',
+        isEnabled: appointment => !appointment.isClosed && !appointment.inventoryIssued
+    },
+    serviceOrderDetails: {
+        handler: 'showDetails'
+    },
+    viewServiceHistory: {
+        handler: 'showServiceHistory',
+        isEnabled: appointment => Boolean(appointment.street)
+    },
+    viewAuditTrail: {
+        handler: 'showAuditTrail'
+    },
+    refresh: {
+        handler: 'refresh'
+    }
+};
+
+// Actions for several appointments at once, such as those selected on the map. Keyed by the ref used to run them
+const bulkActions = {
+    assign: 'assignMany',
+    shift: 'shiftMany',
+    changePriority: 'changePriorityMany',
+    notify: 'notifyMany'
+};
+
+const
+    // Appointments that may still be moved around
+    isMovable = appointment => !appointment.isClosed && !appointment.frozen,
+    displayField = (label, value) => ({ type: 'displayfield', label, value: value ?? '' });
+
+export default class AppointmentActions extends Base {
+    static get defaultConfig() {
+        return {
+            schedule: null,
+            // Sends customer notifications, see Notifications
+            channel: null
+        };
+    }
+
+    static get actions() {
+        return actions;
+    }
+
+    get project() {
+        return this.schedule.project;
+    }
+
+    get eventStore() {
+        return this.schedule.eventStore;
+    }
+
+    isEnabled(ref, appointment) {
+        const action = actions[ref];
+
+        return Boolean(action) && this.isVisible(ref, appointment) && (!action.isEnabled || action.isEnabled(appointment));
+    }
+
+    isVisible(ref, appointment) {
+        const action = actions[ref];
+
+        return !action.isVisible || action.isVisible(appointment);
+    }
+
+    // Called before the event menu shows, to reflect the state of the appointment in the items
+    processItems(items, appointment) {
+        Object.keys(actions).forEach(ref => {
+            if (items[ref]) {
+                items[ref].hidden = !this.isVisible(ref, appointment);
+                items[ref].disabled = !this.isEnabled(ref, appointment);
+            }
+        });
+
+        // Built in items that would edit or unassign a frozen appointment
+        ['editEvent', 'unassignEvent'].forEach(ref => {
+            if (items[ref]) {
+                items[ref].disabled = appointment.frozen;
+            }
+        });
+    }
+
+    async run(ref, appointment) {
+        if (this.isEnabled(ref, appointment)) {
+            await this[actions[ref].handler](appointment);
+        }
+    }
+
+    async runBulk(ref, appointments) {
+        if (bulkActions[ref] && appointments.length) {
+            await this[bulkActions[ref]](appointments);
+        }
+    }
+
+    // Runs fn in a named STM transaction and waits for the engine to apply the changes. If it throws, the changes are
+    // rolled back
+    async transact(title, fn) {
+        const
+            { project } = this,
+            { stm } = project,
+            { autoRecord } = stm;
+
+        // Close any pending automatic transaction so it is not merged with ours
+        if (stm.isRecording) {
+            stm.stopTransaction();
+        }
+
+        stm.autoRecord = false;
+        stm.startTransaction(title);
+
+        try {
+            await fn();
+            await project.commitAsync();
+            stm.stopTransaction(title);
+        }
+        catch (error) {
+            stm.rejectTransaction();
+            throw error;
+        }
+        finally {
+            stm.autoRecord = autoRecord;
+        }
+    }
+
+    // Tells the dispatcher an action failed, its changes were rolled back by transact
+    showFailure(what, error) {
+        Toast.show({
+            html: StringHelper.xss`Could not ${what}${error?.message ? `: ${error.message}` : ''}`,
+            timeout: 10000
+        });
+    }
+
+    async confirmDestructive(title, message) {
+        return await MessageDialog.confirm({ title, message }) === MessageDialog.yesButton;
+    }
+
+    showServiceOrder(appointment) {
+        return FormDialog.prompt({
+            title: `Service Order ${appointment.serviceOrderId}`,
+            cancelText: null,
+            okText: 'Close',
+            items: [
+                displayField('Customer', appointment.name),
+                displayField('Problem', appointment.problem),
+                displayField('Status', appointment.event),
+                displayField('Service line', appointment.serviceLine),
+                displayField('Service type', appointment.serviceType),
+                displayField('Priority', appointment.priority),
+                displayField('Due', appointment.due),
+                displayField('Technician', appointment.resource?.name || appointment.technician)
+            ]
+        });
+    }
+
+    // Details, location and history are shown in the service order drawer, see ServiceOrderDrawer
+    showServiceLocation(appointment) {
+        this.schedule.showServiceOrderDrawer(appointment, 'location');
+    }
+
+    showResource(appointment) {
+        const technician = appointment.resource;
+
+        return FormDialog.prompt({
+            title: technician.name,
+            cancelText: null,
+            okText: 'Close',
+            items: [
+                displayField('Alias', technician.alias),
+                displayField('Discipline', technician.primaryDisciplineName),
+                displayField('Status', technician.currentEventType),
+                displayField('Appointments', technician.events.length)
+            ]
+        });
+    }
+
+    async changeEvent(appointment) {
+        const values = await FormDialog.prompt({
+            title: 'Change Event',
+            items: {
+                event: {
+                    type: 'combo',
+                    label: 'Event',
+                    editable: false,
+                    required: true,
+                    items: Appointment.statuses,
+                    value: appointment.event
+                }
+            }
+        });
+
+        if (values && values.event !== appointment.event) {
+            await this.transact('Change event', () => {
+                appointment.event = values.event;
+            });
+        }
+    }
+
+    async deleteAppointment(appointment) {
+        if (await this.confirmDestructive('Delete Appointment', `Delete the appointment for ${StringHelper.encodeHtml(appointment.name)}?`)) {
+            await this.transact('Delete appointment', () => {
+                this.eventStore.remove(appointment);
+            });
+        }
+    }
+
+    async deleteAllAppointments(appointment) {
+        const
+            { serviceOrderId } = appointment,
+            // Frozen ones are locked, like for deleteAppointment
+            related = this.eventStore.query(record => record.serviceOrderId === serviceOrderId && isMovable(record)),
+            frozen = this.eventStore.query(record => record.serviceOrderId === serviceOrderId && !record.isClosed && record.frozen);
+
+        if (await this.confirmDestructive('Delete All Appointments', `Delete all ${related.length} open appointment(s) of service order ${serviceOrderId}?${frozen.length ? ` ${frozen.length} frozen appointment(s) will be kept.` : ''}`)) {
+            await this.transact('Delete all appointments', () => {
+                this.eventStore.remove(related);
+            });
+        }
+    }
+
+    async freeze(appointment) {
+        await this.transact('Freeze appointment', () => {
+            appointment.set({
+                frozen: true,
+                frozenBy: BoardConfig.user,
+                frozenAt: new Date(),
+                // Restored on unfreeze
+                frozenManuallyScheduled: appointment.manuallyScheduled,
+                manuallyScheduled: true
+            });
+        });
+    }
+
+    async unfreeze(appointment) {
+        await this.transact('Unfreeze appointment', () => {
+            appointment.set({
+                frozen: false,
+                frozenBy: null,
+                frozenAt: null,
+                frozenManuallyScheduled: null,
+                manuallyScheduled: Boolean(appointment.frozenManuallyScheduled)
+            });
+        });
+    }
+
+    // Picks one of the open slots suggested by the RescheduleWizard, which moves and reassigns the appointment as one
+    // undoable step
+    async reschedule(appointment) {
+        const slot = await RescheduleWizard.pick({
+            schedule: this.schedule,
+            appointment
+        });
+
+        if (!slot) {
+            return;
+        }
+
+        const
+            { technician, startDate } = slot,
+            previous = appointment.resource;
+
+        await this.transact('Reschedule service order', () => {
+            appointment.startDate = startDate;
+
+            if (previous) {
+                if (previous !== technician) {
+                    appointment.reassign(previous, technician);
+                }
+            }
+            else {
+                appointment.assign(technician);
+            }
+
+            appointment.event = 'Scheduled';
+        });
+
+        this.offerNotification([appointment], previous && previous !== technician ? 'reassigned' : 'rescheduled');
+    }
+
+    // Edits the link to the visit before, or for the first visit of a chain the link to the one after. Moving a visit
+    // in time is done by changing its link, the engine then reschedules it and the visits after it
+    async editVisitLink(appointment) {
+        const
+            [link] = appointment.visitLinks,
+            values = await FormDialog.prompt({
+                title: 'Edit Visit Link',
+                items: {
+                    from: displayField('Visit', link.fromEvent.name),
+                    to: displayField('Follow-up', link.toEvent.name),
+                    type: {
+                        type: 'combo',
+                        label: 'Type',
+                        editable: false,
+                        required: true,
+                        items: linkTypes,
+                        valueField: 'id',
+                        displayField: 'name',
+                        value: link.type
+                    },
+                    lag: {
+                        type: 'durationfield',
+                        label: 'Lag',
+                        required: true,
+                        allowNegative: true,
+                        value: { magnitude: link.lag, unit: link.lagUnit }
+                    }
+                }
+            });
+
+        if (values) {
+            await this.transact('Edit visit link', () => {
+                link.set({
+                    type: values.type,
+                    lag: values.lag.magnitude,
+                    lagUnit: values.lag.unit
+                });
+            });
+        }
+    }
+
+    // Removes the links to the visits before and after. The visit keeps its time, the ones after it are no longer
+    // moved along with it
+    async unlinkVisit(appointment) {
+        await this.transact('Unlink visit', () => {
+            this.schedule.dependencyStore.remove(appointment.visitLinks);
+        });
+    }
+
+    async finish(appointment) {
+        const values = await FormDialog.prompt({
+            title: 'Finish Service Order',
+            okText: 'Finish',
+            items: {
+                resolution: {
+                    type: 'textareafield',
+                    label: 'Resolution',
+                    height: '8em'
+                }
+            }
+        });
+
+        if (values) {
+            await this.transact('Finish service order', () => {
+                appointment.event = 'Finished';
+
+                if (values.resolution) {
+                    appointment.notes = [appointment.notes, values.resolution].filter(note => note).join('\n');
+                }
+            });
+        }
+    }
+
+    async confirm(appointment) {
+        await this.transact('Confirm service', () => {
+            appointment.confirmed = true;
+        });
+    }
+
+    sendMessage(appointment) {
+        return this.notify([appointment]);
+    }
+
+    async newPurchaseOrder(appointment) {
+        const values = await FormDialog.prompt({
+            title: 'New Purchase Order',
+            okText: 'Create',
+            items: {
+                vendor: {
+                    type: 'textfield',
+                    label: 'Vendor',
+                    required: true
+                },
+                description: {
+                    type: 'textfield',
+                    label: 'Description',
+                    required: true
+                },
+                amount: {
+                    type: 'numberfield',
+                    label: 'Amount',
+                    min: 0,
+                    format: '0.00',
+                    required: true
+                }
+            }
+        });
+
+        if (values) {
+            await this.transact('New purchase order', () => {
+                appointment.purchaseOrders = [...appointment.purchaseOrders, { date: new Date(), ...values }];
+            });
+        }
+    }
+
+    async editNotes(appointment) {
+        const values = await FormDialog.prompt({
+            title: 'Service Order Notes',
+            okText: 'Save',
+            items: {
+                notes: {
+                    type: 'textareafield',
+                    label: 'Notes',
+                    height: '12em',
+                    value: appointment.notes
+                }
+            }
+        });
+
+        if (values && values.notes !== appointment.notes) {
+            await this.transact('Edit notes', () => {
+                appointment.notes = values.notes;
+            });
+        }
+    }
+
+    async issueInventory(appointment) {
+        await this.transact('Issue inventory', () => {
+            appointment.inventoryIssued = true;
+        });
+
+        Toast.show(`Inventory issued for service order ${appointment.serviceOrderId}`);
+    }
+
+    showDetails(appointment) {
+        this.schedule.showServiceOrderDrawer(appointment, 'details');
+    }
+
+    showServiceHistory(appointment) {
+        this.schedule.showServiceOrderDrawer(appointment, 'history');
+    }
+
+    showAuditTrail(appointment) {
+        this.schedule.showAuditTrail({ appointment });
+    }
+
+    //region Bulk actions
+
+    // Puts the appointments back in the unassigned queue, as one undoable step. Clears their start when the board is
+    // configured to (clearStartOnUnassign)
+    async unassignMany(appointments) {
+        const locked = appointments.filter(appointment => appointment.frozen || appointment.isClosed);
+
+        appointments = appointments.filter(appointment => !locked.includes(appointment));
+
+        if (appointments.length) {
+            await this.transact('Unassign appointments', () => {
+                appointments.forEach(appointment => {
+                    appointment.unassign();
+
+                    if (BoardConfig.clearStartOnUnassign) {
+                        appointment.startDate = null;
+                    }
+                });
+            });
+        }
+
+        if (locked.length) {
+            Toast.show(`${locked.length} frozen or closed appointment(s) were left assigned`);
+        }
+    }
+
+    // Assigns the appointments to one technician, keeping their start unless it has to move to a free slot. Those the
+    // technician cannot take are left as they are
+    async assignMany(appointments) {
+        const
+            { dropValidator } = this.schedule,
+            technicians = dropValidator.technicians.sort((a, b) => a.name.localeCompare(b.name)),
+            values = await FormDialog.prompt({
+                title: `Assign ${appointments.length} Appointment(s)`,
+                okText: 'Assign',
+                items: {
+                    technician: {
+                        type: 'combo',
+                        label: 'Technician',
+                        required: true,
+                        items: technicians.map(technician => ({ value: technician.id, text: technician.name }))
+                    }
+                }
+            });
+
+        if (!values) {
+            return;
+        }
+
+        const
+            technician = technicians.find(technician => technician.id === values.technician),
+            skipped = [],
+            reassigned = [];
+
+        await this.transact('Assign appointments', () => {
+            // Earlier ones first, so later ones see them as bookings
+            for (const appointment of [...appointments].sort((a, b) => a.startDate - b.startDate)) {
+                const result = isMovable(appointment) && appointment.resource !== technician && dropValidator.validate({
+                    appointment,
+                    technician,
+                    startDate: appointment.startDate
+                });
+
+                if (result && result.valid) {
+                    appointment.startDate = result.startDate;
+
+                    if (appointment.resource) {
+                        reassigned.push(appointment);
+                        appointment.reassign(appointment.resource, technician);
+                    }
+                    else {
+                        appointment.assign(technician);
+                    }
+                }
+                else if (appointment.resource !== technician) {
+                    skipped.push(appointment);
+                }
+            }
+        });
+
+        if (skipped.length) {
+            Toast.show(`${skipped.length} appointment(s) could not be assigned to ${StringHelper.encodeHtml(technician.name)}`);
+        }
+
+        this.offerNotification(reassigned, 'reassigned');
+    }
+
+    async shiftMany(appointments) {
+        const values = await FormDialog.prompt({
+            title: `Shift ${appointments.length} Appointment(s)`,
+            okText: 'Shift',
+            items: {
+                minutes: {
+                    type: 'numberfield',
+                    label: 'Minutes',
+                    required: true,
+                    step: 15,
+                    value: 30
+                }
+            }
+        });
+
+        if (values && values.minutes) {
+            const movable = appointments.filter(appointment => isMovable(appointment) && appointment.startDate);
+
+            await this.transact('Shift appointments', () => {
+                movable.forEach(appointment => {
+                    appointment.startDate = DateHelper.add(appointment.startDate, values.minutes, 'minute');
+                });
+            });
+
+            if (movable.length < appointments.length) {
+                Toast.show(`${appointments.length - movable.length} closed or frozen appointment(s) were not moved`);
+            }
+
+            this.offerNotification(movable.filter(appointment => appointment.resource), 'rescheduled');
+        }
+    }
+
+    async changePriorityMany(appointments) {
+        const
+            priorities = [...new Set(this.eventStore.allRecords.map(appointment => appointment.priority).filter(priority => priority))].sort(),
+            values = await FormDialog.prompt({
+                title: `Change Priority of ${appointments.length} Appointment(s)`,
+                items: {
+                    priority: {
+                        type: 'combo',
+                        label: 'Priority',
+                        editable: false,
+                        required: true,
+                        items: priorities
+                    }
+                }
+            });
+
+        if (values) {
+            await this.transact('Change priority', () => {
+                appointments.forEach(appointment => {
+                    appointment.priority = values.priority;
+                });
+            });
+        }
+    }
+
+    notifyMany(appointments) {
+        return this.notify(appointments);
+    }
+
+    //endregion
+
+    //region Keyboard actions, see KeyboardDispatch
+
+    // Assigns the appointment at the technician's next free slot from now, or from the start of the shown range if that
+    // is later. Resolves with true if it was assigned
+    async assignToNextFreeSlot(appointment, technician) {
+        const
+            { schedule } = this,
+            { dropValidator } = schedule,
+            fromDate = DateHelper.ceil(DateHelper.max(new Date(), schedule.timeAxis.startDate), '15 minutes'),
+            result = dropValidator.validate({ appointment, technician }),
+            slot = result.valid && dropValidator.findFreeSlot(appointment, technician, fromDate);
+
+        if (!slot) {
+            Toast.show(StringHelper.xss`Can't assign ${appointment.customerName} to ${technician.name}: ${result.message || `no free slot within ${dropValidator.searchDays} days`}`);
+            return false;
+        }
+
+        await this.transact('Assign appointment', () => {
+            appointment.startDate = slot.startDate;
+            appointment.assign(technician);
+        });
+
+        Toast.show(StringHelper.xss`${appointment.customerName} assigned to ${technician.name}, ${DateHelper.format(slot.startDate, 'ddd h:mm A')}`);
+
+        return true;
+    }
+
+    // Moves a scheduled appointment by amount of unit, keeping its technician. Refused when the new time breaks the
+    // rules drops follow, see DropValidator#getConflict. Resolves with true if it was moved
+    async nudge(appointment, amount, unit) {
+        const
+            { dropValidator } = this.schedule,
+            technician = appointment.resource,
+            startDate = appointment.startDate && DateHelper.add(appointment.startDate, amount, unit);
+
+        if (!technician || !startDate) {
+            return false;
+        }
+
+        if (!isMovable(appointment)) {
+            Toast.show('Closed and frozen appointments can not be moved');
+            return false;
+        }
+
+        const conflict = dropValidator.getConflict(appointment, technician, startDate, new Date(startDate.getTime() + appointment.durationMS));
+
+        if (conflict) {
+            Toast.show(StringHelper.xss`Can't move ${appointment.customerName}: ${conflict}`);
+            return false;
+        }
+
+        // Nudges come in a row, so unlike drops they don't offer to notify the customer
+        await this.transact('Nudge appointment', () => {
+            appointment.startDate = startDate;
+        });
+
+        return true;
+    }
+
+    // Moves a scheduled appointment to another technician at the same time, or at the technician's next free slot after
+    // it. Resolves with true if it was moved
+    async reassignTo(appointment, technician) {
+        if (!isMovable(appointment)) {
+            Toast.show('Closed and frozen appointments can not be moved');
+            return false;
+        }
+
+        const result = this.schedule.dropValidator.validate({
+            appointment,
+            technician,
+            startDate: appointment.startDate
+        });
+
+        if (!result.valid) {
+            Toast.show(StringHelper.xss`Can't reassign ${appointment.customerName} to ${technician.name}: ${result.message}`);
+            return false;
+        }
+
+        await this.transact('Reassign appointment', () => {
+            appointment.startDate = result.startDate;
+            appointment.reassign(appointment.resource, technician);
+        });
+
+        if (result.snapped) {
+            Toast.show(StringHelper.encodeHtml(result.message));
+        }
+
+        return true;
+    }
+
+    //endregion
+
+    //region Notifications
+
+    // Composes a message from a template, see NotificationComposer, and sends it to the customer of each appointment
+    // through the channel. Every message is logged on its appointment, including those the channel did not accept
+    async notify(appointments, template) {
+        const values = await NotificationComposer.compose(appointments, { template });
+
+        if (!values) {
+            return;
+        }
+
+        const
+            { channel } = this,
+            entries = await Promise.all(appointments.map(async appointment => {
+                const
+                    templateValues = getTemplateValues(appointment, BoardConfig.notifications),
+                    message = {
+                        channel: values.channel,
+                        to: (appointments.length === 1 && values.to) || getContact(appointment, values.channel),
+                        subject: values.channel === 'email' ? fillTemplate(values.subject, templateValues) : null,
+                        text: fillTemplate(values.text, templateValues)
+                    };
+
+                try {
+                    const result = await channel.send(message);
+
+                    return { ...message, status: 'sent', messageId: result?.id ?? null };
+                }
+                catch (error) {
+                    return { ...message, status: 'failed', error: error?.message || String(error) };
+                }
+            })),
+            failed = entries.filter(entry => entry.status === 'failed');
+
+        await this.transact('Send messages', () => {
+            appointments.forEach((appointment, index) => {
+                appointment.messages = [...appointment.messages, {
+                    date: new Date(),
+                    template: values.template,
+                    by: BoardConfig.user,
+                    ...entries[index]
+                }];
+            });
+        });
+
+        if (failed.length) {
+            Toast.show(`${failed.length} of ${entries.length} message(s) could not be sent: ${StringHelper.encodeHtml(failed[0].error)}`);
+        }
+        else {
+            Toast.show(`Message sent to ${entries.length} customer(s)`);
+        }
+    }
+
+    // Offers to notify the customers after their appointments were rescheduled or reassigned, reason is the template
+    // the message starts from. A toast with a button, so it does not get in the way of further dispatching
+    offerNotification(appointments, reason) {
+        appointments = appointments.filter(appointment => !appointment.isClosed);
+
+        if (!BoardConfig.notifications.offerOnChange || !appointments.length) {
+            return;
+        }
+
+        const toast = Toast.show({
+            html: `${appointments.length === 1 ? StringHelper.encodeHtml(appointments[0].customerName) : `${appointments.length} appointments`} ${reason}
+                <button class="b-notify-offer">Notify customer${appointments.length === 1 ? '' : 's'}</button>`,
+            timeout: 8000
+        });
+
+        // Clicking anywhere on the toast hides it
+        toast.element.addEventListener('click', event => {
+            if (event.target.closest('.b-notify-offer')) {
+                this.notify(appointments, reason).catch(error => this.showFailure('log the messages', error));
+            }
+        });
+    }
+
+    //endregion
+
+    // Reloads the board from the server, which discards the undo history
+    async refresh() {
+        const { project } = this;
+
+        if (!project.stm.canUndo || await this.confirmDestructive('Refresh', 'Refreshing discards all changes that can be undone. Continue?')) {
+            project.stm.disable();
+            await project.load();
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+﻿import EventDrag from './lib/Scheduler/feature/EventDrag.js';
+import GridFeatureManager from './lib/Grid/feature/GridFeatureManager.js';
+
+// Event drag which can also drop appointments on the unassigned grid, see Schedule#unassignTarget. Off the schedule
+// there is no technician under the pointer, which the built in drag takes as an invalid drop that never gets to
+// beforeEventDropFinalize. Over the unassigned grid the drop is valid unless Schedule#validateUnassign says otherwise,
+// and dragData.unassign has Schedule#onBeforeEventDropFinalize unassign the appointments instead of moving them
+export default class AppointmentDrag extends EventDrag {
+    static get $name() {
+        return 'AppointmentDrag';
+    }
+
+    updateDragContext(info, event) {
+        super.updateDragContext(info, event);
+
+        const
+            { client, dragData } = this,
+            { context } = dragData;
+
+        dragData.unassign = client.isOverUnassignTarget(event);
+
+        if (dragData.unassign) {
+            const { valid, message } = client.validateUnassign(dragData.eventRecords);
+
+            context.valid = valid;
+            context.message = message;
+        }
+    }
+}
+
+// Replaces the built in eventDrag of the Schedule
+GridFeatureManager.registerFeature(AppointmentDrag, true, 'Schedule', 'eventDrag');
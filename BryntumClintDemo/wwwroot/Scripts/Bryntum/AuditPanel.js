@@ -0,0 +1,160 @@
+﻿import Popup from './lib/Core/widget/Popup.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import './lib/Core/widget/Combo.js';
+import './lib/Core/widget/TextField.js';
+import './lib/Grid/view/Grid.js';
+import './lib/Grid/column/DateColumn.js';
+import { toCsv } from './AuditTrail.js';
+
+// Fields the search box looks in
+const searchFields = ['user', 'action', 'serviceOrderId', 'appointment', 'technician', 'field', 'before', 'after'];
+
+// Lists the entries of an AuditTrail, newest first, narrowed down to one appointment, one technician and a search text.
+// What is listed can be exported as CSV. Open it with showFor, see Schedule#showAuditTrail
+export default class AuditPanel extends Popup {
+    static get type() {
+        return 'auditpanel';
+    }
+
+    static get $name() {
+        return 'AuditPanel';
+    }
+
+    static get defaultConfig() {
+        return {
+            auditTrail: null,
+            // To pick the appointment and technician to show the entries of
+            eventStore: null,
+            resourceStore: null,
+            title: 'Audit trail',
+            cls: 'b-audit-panel',
+            autoShow: false,
+            closable: true,
+            closeAction: 'hide',
+            centered: true,
+            draggable: true,
+            width: '70em',
+            height: '36em',
+            layout: 'fit',
+            tbar: {
+                items: {
+                    appointment: {
+                        type: 'combo',
+                        placeholder: 'All appointments',
+                        width: '18em',
+                        displayField: 'name',
+                        valueField: 'id',
+                        clearable: true,
+                        listItemTpl: appointment => StringHelper.xss`${appointment.name} <span class="b-audit-meta">${appointment.serviceOrderId}</span>`,
+                        onChange: 'up.onFilterChange'
+                    },
+                    technician: {
+                        type: 'combo',
+                        placeholder: 'All technicians',
+                        width: '14em',
+                        displayField: 'name',
+                        valueField: 'id',
+                        clearable: true,
+                        onChange: 'up.onFilterChange'
+                    },
+                    search: {
+                        type: 'textfield',
+                        placeholder: 'Search',
+                        icon: 'b-fa-search',
+                        width: '14em',
+                        clearable: true,
+                        keyStrokeChangeDelay: 200,
+                        onChange: 'up.onFilterChange'
+                    },
+                    spacer: {
+                        type: 'widget',
+                        flex: 1
+                    },
+                    export: {
+                        type: 'button',
+                        icon: 'b-fa-file-csv',
+                        text: 'Export CSV',
+                        tooltip: 'Download the listed entries',
+                        onClick: 'up.onExportClick'
+                    }
+                }
+            },
+            items: {
+                grid: {
+                    type: 'grid',
+                    emptyText: 'No changes recorded',
+                    columns: [
+                        { type: 'date', text: 'Date', field: 'date', format: 'MMM D h:mm:ss A', width: 150 },
+                        { text: 'User', field: 'user', width: 110 },
+                        { text: 'Action', field: 'action', width: 150 },
+                        { text: 'Service order', field: 'serviceOrderId', width: 110 },
+                        { text: 'Appointment', field: 'appointment', width: 160 },
+                        { text: 'Technician', field: 'technician', width: 140 },
+                        { text: 'Field', field: 'field', width: 110 },
+                        { text: 'Before', field: 'before', flex: 1 },
+                        { text: 'After', field: 'after', flex: 1 }
+                    ]
+                }
+            }
+        };
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const
+            me = this,
+            { appointment, technician } = me.tbar.widgetMap;
+
+        // Chained, so typing in the combos does not filter the board
+        appointment.store = me.eventStore.chain();
+        technician.store = me.resourceStore.chain(record => !record.isSpecialRow);
+
+        me.widgetMap.grid.store = me.auditTrail.store.chain(entry => me.matches(entry));
+    }
+
+    matches(entry) {
+        const
+            { appointment, technician, search } = this.tbar.widgetMap,
+            text = search.value?.trim().toLowerCase();
+
+        return (appointment.value == null || entry.appointmentId === appointment.value) &&
+            (technician.value == null || entry.technicianIds.includes(technician.value)) &&
+            (!text || searchFields.some(field => String(entry[field] ?? '').toLowerCase().includes(text)));
+    }
+
+    onFilterChange() {
+        this.widgetMap.grid.store.fillFromMaster();
+    }
+
+    // Shows the entries of an appointment or of a technician, or all of them
+    showFor({ appointment = null, technician = null } = {}) {
+        const me = this;
+
+        me.tbar.widgetMap.appointment.value = appointment?.id ?? null;
+        me.tbar.widgetMap.technician.value = technician?.id ?? null;
+        me.tbar.widgetMap.search.value = '';
+
+        me.onFilterChange();
+        me.show();
+    }
+
+    // Downloads the entries listed, as filtered
+    onExportClick() {
+        const
+            url = URL.createObjectURL(new Blob(['\uFEFF' + toCsv(this.widgetMap.grid.store.records)], { type: 'text/csv;charset=utf-8' })),
+            link = document.createElement('a');
+
+        link.href = url;
+        link.download = `audit-trail-${DateHelper.format(new Date(), 'YYYYMMDD-HHmm')}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Register this widget type with its Factory
+AuditPanel.initClass();
@@ -0,0 +1,365 @@
+﻿import Base from './lib/Core/Base.js';
+import Model from './lib/Core/data/Model.js';
+import Store from './lib/Core/data/Store.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import BoardConfig from './BoardConfig.js';
+
+// One changed value. Changes made together, such as by one drag, share a transactionId
+export class AuditEntry extends Model {
+    static get fields() {
+        return [
+            { name: 'date', type: 'date' },
+            { name: 'user' },
+            { name: 'action' },
+            { name: 'transactionId', type: 'number' },
+            // 'appointment' or 'technician'
+            { name: 'recordType' },
+            { name: 'appointmentId' },
+            { name: 'appointment' },
+            { name: 'serviceOrderId' },
+            // Technicians involved, the one before and after a reassignment, to find entries per technician
+            { name: 'technicianIds', defaultValue: [] },
+            { name: 'technician' },
+            { name: 'field' },
+            { name: 'before' },
+            { name: 'after' }
+        ];
+    }
+}
+
+// Columns of the CSV export, see toCsv
+export const csvColumns = [
+    { field: 'date', text: 'Date' },
+    { field: 'user', text: 'User' },
+    { field: 'action', text: 'Action' },
+    { field: 'serviceOrderId', text: 'Service order' },
+    { field: 'appointment', text: 'Appointment' },
+    { field: 'technician', text: 'Technician' },
+    { field: 'field', text: 'Field' },
+    { field: 'before', text: 'Before' },
+    { field: 'after', text: 'After' }
+];
+
+// Fields not worth an entry. The Schedule keeps assignmentHistory along with the assignment change, which has its own,
+// and the engine constrains a moved appointment to start no earlier than where it was dropped
+const ignoredFields = ['id', 'assignmentHistory', 'constraintType', 'constraintDate'];
+
+const labels = {
+    startDate: 'Start',
+    endDate: 'End',
+    event: 'Status',
+    serviceOrderId: 'Service order',
+    resource: 'Technician',
+    lagUnit: 'Link lag unit',
+    lag: 'Link lag',
+    type: 'Link type'
+};
+
+const range = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (value, index) => from + index);
+
+const labelOf = field => labels[field] || StringHelper.capitalize(field.replace(/([A-Z])/g, ' $1').toLowerCase());
+
+export function formatValue(value) {
+    if (value == null || value === '') {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return DateHelper.format(value, 'YYYY-MM-DD HH:mm');
+    }
+
+    if (value.isModel) {
+        return value.name ?? String(value.id);
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+
+    if (Array.isArray(value)) {
+        return `${value.length} item(s)`;
+    }
+
+    if (typeof value === 'object') {
+        return value.display_name || JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+// Entries as CSV, with a header row. Values are quoted when they need to be
+export function toCsv(entries, columns = csvColumns) {
+    const quote = value => {
+        let text = value instanceof Date ? DateHelper.format(value, 'YYYY-MM-DD HH:mm:ss') : String(value ?? '');
+
+        // Spreadsheets run text starting like a formula, such as a note of =HYPERLINK(...), keep it text
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.map(({ text }) => quote(text)).join(','),
+        ...entries.map(entry => columns.map(({ field }) => quote(entry[field])).join(','))
+    ].join('\r\n');
+}
+
+// Action of an untitled transaction, such as a drag or an edit in the task editor, from what it changed
+function describe({ added, removed, fields }) {
+    const technician = fields.get('resource');
+
+    if (added) {
+        return 'Create';
+    }
+
+    if (removed) {
+        return 'Delete';
+    }
+
+    if (technician) {
+        return technician.before ? (technician.after ? 'Reassign' : 'Unassign') : 'Assign';
+    }
+
+    if (fields.has('startDate')) {
+        return 'Move';
+    }
+
+    if (fields.has('endDate') || fields.has('duration')) {
+        return 'Resize';
+    }
+
+    if (fields.has('link')) {
+        return fields.get('link').after ? 'Link visits' : 'Unlink visits';
+    }
+
+    return 'Edit';
+}
+
+// Records who changed what and when, from the transactions of the project's StateTrackingManager, so every change that
+// can be undone is in it: drags, resizes, assignments, menu actions and task editor edits. Undo and redo are recorded
+// too, as the reverse or a repeat of the changes. Entries are kept in store, see AuditPanel to view and export them
+export default class AuditTrail extends Base {
+    static get defaultConfig() {
+        return {
+            project: null,
+            // Who is making the changes, the signed in dispatcher by default
+            user: null
+        };
+    }
+
+    construct(config) {
+        super.construct(config);
+
+        const me = this;
+
+        me.store = new Store({
+            modelClass: AuditEntry
+        });
+
+        // Entries of the transactions in the undo queue, by index, and the queue position they were recorded at, to
+        // record undo and redo. The STM only tells the new position once restoring starts
+        me.transactions = [];
+        me.position = 0;
+        me.transactionId = 0;
+
+        me.project.stm.on({
+            recordingStop: 'onRecordingStop',
+            restoringStop: 'onRestoringStop',
+            queueReset: 'onQueueReset',
+            thisObj: me
+        });
+    }
+
+    get currentUser() {
+        return this.user || BoardConfig.user;
+    }
+
+    onRecordingStop({ stm, transaction, reason }) {
+        if (!reason.stop) {
+            return;
+        }
+
+        const entries = this.getEntries(transaction);
+
+        // A new transaction drops those undone after the current position
+        this.transactions.length = stm.position - 1;
+        this.transactions.push(entries);
+        this.position = stm.position;
+
+        this.add(entries);
+    }
+
+    // Undone or redone transactions, their changes are recorded again with the values swapped for undo. The transaction
+    // at index n of the queue is undone moving the position from n + 1 to n and redone moving it back
+    onRestoringStop({ stm }) {
+        const
+            me = this,
+            from = me.position,
+            to = me.position = stm.position,
+            undo = to < from,
+            positions = undo ? range(to, from).reverse() : range(from, to),
+            transactionId = ++me.transactionId,
+            date = new Date();
+
+        me.add(positions.flatMap(position => (me.transactions[position] || []).map(entry => ({
+            ...entry,
+            date,
+            user: me.currentUser,
+            transactionId,
+            action: `${undo ? 'Undo' : 'Redo'} ${entry.action}`,
+            before: undo ? entry.after : entry.before,
+            after: undo ? entry.before : entry.after
+        }))));
+    }
+
+    onQueueReset() {
+        this.transactions = [];
+        this.position = 0;
+    }
+
+    // Newest first
+    add(entries) {
+        if (entries.length) {
+            this.store.insert(0, entries);
+        }
+    }
+
+    // One entry for each changed value of each appointment and technician in the transaction
+    getEntries(transaction) {
+        const
+            me = this,
+            { project } = me,
+            changes = new Map(),
+            // Assignment changes hold the id of the technician until the engine resolves it
+            technicianOf = resource => resource == null || resource.isModel ? resource : project.resourceStore.getById(resource),
+            transactionId = ++me.transactionId,
+            date = new Date(),
+            // Changes of one record, values before and after by field name
+            changesOf = (record, recordType) => {
+                if (!changes.has(record)) {
+                    changes.set(record, { record, recordType, fields: new Map() });
+                }
+
+                return changes.get(record);
+            },
+            setField = (change, field, before, after) => {
+                const existing = change.fields.get(field);
+
+                // Changed more than once, such as by the engine after the user, keep the first before and last after
+                change.fields.set(field, { before: existing ? existing.before : before, after });
+            };
+
+        for (const action of transaction.queue) {
+            const
+                { type } = action,
+                records = action.modelList || (action.model ? [action.model] : action.allRecords || []),
+                store = action.store || action.model?.firstStore;
+
+            for (const record of records) {
+                if (store === project.assignmentStore) {
+                    const
+                        { event } = record,
+                        resource = technicianOf(record.resource),
+                        change = event && changesOf(event, 'appointment');
+
+                    if (change) {
+                        if (type === 'UpdateAction') {
+                            if ('resource' in action.newData) {
+                                setField(change, 'resource', technicianOf(action.oldData.resource), technicianOf(action.newData.resource));
+                            }
+                        }
+                        else if (type === 'RemoveAction' || type === 'RemoveAllAction') {
+                            setField(change, 'resource', resource, null);
+                        }
+                        else {
+                            setField(change, 'resource', null, resource);
+                        }
+                    }
+                }
+                else if (store === project.dependencyStore) {
+                    const
+                        { fromEvent, toEvent } = record,
+                        change = toEvent?.isModel && changesOf(toEvent, 'appointment');
+
+                    if (change) {
+                        if (type === 'UpdateAction') {
+                            Object.keys(action.newData).filter(field => labels[field]).forEach(field => {
+                                setField(change, field, action.oldData[field], action.newData[field]);
+                            });
+                        }
+                        else {
+                            const removed = type === 'RemoveAction' || type === 'RemoveAllAction';
+
+                            setField(change, 'link', removed ? fromEvent : null, removed ? null : fromEvent);
+                        }
+                    }
+                }
+                else if (store === project.eventStore || store === project.resourceStore) {
+                    const change = changesOf(record, store === project.eventStore ? 'appointment' : 'technician');
+
+                    if (type === 'UpdateAction') {
+                        Object.keys(action.newData)
+                            .filter(field => !ignoredFields.includes(field) && record.getFieldDefinition(field)?.persist !== false)
+                            .forEach(field => setField(change, field, action.oldData[field], action.newData[field]));
+                    }
+                    else if (type === 'RemoveAction' || type === 'RemoveAllAction') {
+                        change.removed = true;
+                    }
+                    else {
+                        change.added = true;
+                    }
+                }
+            }
+        }
+
+        return [...changes.values()].flatMap(change => {
+            const
+                { record, recordType, fields } = change,
+                action = transaction.title || describe(change),
+                isAppointment = recordType === 'appointment',
+                technicianChange = fields.get('resource'),
+                technicians = isAppointment
+                    ? [technicianChange?.before, technicianChange?.after, record.resource].filter(technician => technician?.isModel)
+                    : [record],
+                entry = {
+                    date,
+                    user: me.currentUser,
+                    action,
+                    transactionId,
+                    recordType,
+                    appointmentId: isAppointment ? record.id : null,
+                    appointment: isAppointment ? record.name : null,
+                    serviceOrderId: isAppointment ? record.serviceOrderId : null,
+                    technicianIds: [...new Set(technicians.map(technician => technician.id))],
+                    technician: (isAppointment ? record.resource || technicianChange?.before : record)?.name ?? ''
+                };
+
+            if (change.added || change.removed) {
+                return [{ ...entry, field: null, before: change.removed ? 'Exists' : '', after: change.added ? 'Exists' : '' }];
+            }
+
+            return [...fields].map(([field, { before, after }]) => ({
+                ...entry,
+                field: field === 'link' ? 'Linked visit' : labelOf(field),
+                before: formatValue(before),
+                after: formatValue(after)
+            })).filter(({ before, after }) => before !== after);
+        });
+    }
+
+    doDestroy() {
+        this.project.stm.un({
+            recordingStop: 'onRecordingStop',
+            restoringStop: 'onRestoringStop',
+            queueReset: 'onQueueReset',
+            thisObj: this
+        });
+
+        this.store.destroy();
+
+        super.doDestroy();
+    }
+}
@@ -0,0 +1,283 @@
+﻿// Proposes a technician and start time for unassigned appointments. Kept free of any Bryntum dependency so it can be
+// tested headlessly, the board passes in plain snapshots of the technicians' working time and bookings (see
+// Schedule#autoDispatch)
+import SkillRules from './SkillRules.js';
+import TravelTime from './TravelTime.js';
+
+// How much each factor weighs when comparing candidate slots, in points per hour. The slot with the fewest points wins
+export const defaultWeights = {
+    // Waiting before the appointment starts, counted from the earliest start allowed
+    wait: 1,
+    // Driving from the technician's previous appointment
+    travel: 4,
+    // Time the technician is already booked that day, spreads the work over the crew
+    load: 0.5,
+    // Finishing after the appointment is due, divided by the priority so urgent appointments weigh more
+    late: 10
+};
+
+const
+    msPerHour = 3600000,
+    months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    byStart = (a, b) => a.startDate - b.startDate;
+
+// Priorities start with their rank, as in "2 - 10 or Up w RS". 1 is the most urgent, unknown priorities go last
+export function parsePriority(priority) {
+    const rank = parseInt(priority, 10);
+
+    return isNaN(rank) ? 9 : Math.max(rank, 1);
+}
+
+// Due dates come as "Jul 11 2021 12:00AM". Returns null for anything else
+export function parseDue(due) {
+    if (due instanceof Date) {
+        return due;
+    }
+
+    const match = /^(\w{3})\s+(\d{1,2})\s+(\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(String(due || '').trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const
+        [, month, day, year, hours, minutes, meridiem] = match,
+        monthIndex = months.indexOf(month.toLowerCase());
+
+    return monthIndex === -1 ? null : new Date(year, monthIndex, day, hours % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0), minutes);
+}
+
+// Earliest { startDate, endDate } at or after fromDate where the appointment fits inside one of the working intervals
+// without overlapping the bookings, leaving time to drive to and from them. travelDuration(from, to) returns the
+// driving time in ms between two appointments. Null if there is no such slot
+export function findFreeSlot({ appointment, fromDate, intervals, bookings, travelDuration = () => 0 }) {
+    const duration = appointment.durationMS;
+
+    for (const interval of intervals) {
+        let start = new Date(Math.max(interval.startDate, fromDate));
+
+        while (start.getTime() + duration <= interval.endDate.getTime()) {
+            const
+                end = new Date(start.getTime() + duration),
+                blocking = bookings.find(booking =>
+                    booking.startDate.getTime() < end.getTime() + travelDuration(appointment, booking) &&
+                    booking.endDate.getTime() + travelDuration(booking, appointment) > start.getTime()
+                );
+
+            if (!blocking) {
+                return { startDate: start, endDate: end };
+            }
+
+            start = new Date(blocking.endDate.getTime() + travelDuration(blocking, appointment));
+        }
+    }
+
+    return null;
+}
+
+// Inserts the appointment at startDate and pushes the bookings after it later, as far as needed to keep them in order
+// with time to drive between them. Bookings that already started stay where they are, so do fixed ones such as frozen
+// appointments, which pushed bookings flow around. The appointment and the pushed bookings stay inside the working
+// intervals, the appointment starts later than startDate if it has to. Returns { startDate, endDate, shifts } where
+// shifts are { booking, startDate, endDate } for each booking that moves, null if there is no room in the intervals
+export function insertAndPush({ appointment, startDate, intervals, bookings, isFixed = () => false, travelDuration = () => 0 }) {
+    const
+        sorted = [...bookings].sort(byStart),
+        shifts = [];
+
+    let
+        inserted = { startDate },
+        fromDate,
+        obstacles;
+
+    // Bookings starting before the insert stay. Moving the insert later, past working hours or a booking in progress,
+    // can make more of them stay, so repeat until its start settles
+    do {
+        fromDate = inserted.startDate;
+        obstacles = sorted.filter(booking => booking.startDate < fromDate || isFixed(booking));
+        inserted = findFreeSlot({ appointment, fromDate, intervals, bookings: obstacles, travelDuration });
+    } while (inserted && inserted.startDate > fromDate);
+
+    if (!inserted) {
+        return null;
+    }
+
+    const movable = sorted.filter(booking => !obstacles.includes(booking));
+
+    let
+        previous = appointment,
+        previousEnd = inserted.endDate;
+
+    for (const booking of movable) {
+        const earliest = new Date(previousEnd.getTime() + travelDuration(previous, booking));
+
+        // Far enough after the one before, this booking and those after it stay
+        if (booking.startDate >= earliest) {
+            break;
+        }
+
+        const slot = findFreeSlot({ appointment: booking, fromDate: earliest, intervals, bookings: obstacles, travelDuration });
+
+        if (!slot) {
+            return null;
+        }
+
+        shifts.push({ booking, ...slot });
+
+        previous = booking;
+        previousEnd = slot.endDate;
+    }
+
+    return { ...inserted, shifts };
+}
+
+export default class AutoDispatcher {
+    constructor({ skillRules = new SkillRules(), travelTime = new TravelTime(), weights } = {}) {
+        this.skillRules = skillRules;
+        this.travelTime = travelTime;
+        this.weights = Object.assign({}, defaultWeights, weights);
+    }
+
+    // Driving time in ms between two appointments, 0 if either has no location
+    getTravelDuration(from, to) {
+        return this.travelTime.getDuration(from.location, to.location) || 0;
+    }
+
+    // Most urgent first, by priority and then by due date
+    sort(appointments) {
+        const dueTime = appointment => parseDue(appointment.due)?.getTime() ?? Infinity;
+
+        return [...appointments].sort((a, b) =>
+            parsePriority(a.priority) - parsePriority(b.priority) || dueTime(a) - dueTime(b)
+        );
+    }
+
+    // Proposes a slot for each appointment, most urgent first, so each one sees the slots taken by those before it.
+    //
+    // appointments  Objects with serviceLine, serviceType, codes, priority, due, durationMS and location, such as
+    //               Appointment records
+    // technicians   [{ technician, intervals, bookings }], where technician is anything SkillRules can check,
+    //               intervals are its working time as { startDate, endDate } and bookings the appointments it already
+    //               has, with startDate, endDate and location
+    // fromDate      Earliest start to propose
+    //
+    // Returns { proposals, unplaced } where proposals are { appointment, technician, startDate, endDate, travel,
+    // score } and unplaced are { appointment, reason }
+    dispatch({ appointments, technicians, fromDate }) {
+        const
+            plans = technicians.map(({ technician, intervals, bookings }) => ({
+                technician,
+                intervals,
+                bookings: [...bookings].sort(byStart)
+            })),
+            proposals = [],
+            unplaced = [];
+
+        for (const appointment of this.sort(appointments)) {
+            const qualified = plans.filter(plan => this.skillRules.isQualified(appointment, plan.technician));
+
+            if (!qualified.length) {
+                unplaced.push({ appointment, reason: 'No qualified technician' });
+                continue;
+            }
+
+            const best = qualified
+                .map(plan => this.evaluate(appointment, plan, fromDate))
+                .filter(candidate => candidate)
+                .sort((a, b) => a.score - b.score)[0];
+
+            if (!best) {
+                unplaced.push({ appointment, reason: 'No free slot for a qualified technician' });
+                continue;
+            }
+
+            const { plan, ...proposal } = best;
+
+            // Later appointments have to work around this one
+            plan.bookings.push({ startDate: proposal.startDate, endDate: proposal.endDate, location: appointment.location });
+            plan.bookings.sort(byStart);
+
+            proposals.push(proposal);
+        }
+
+        return { proposals, unplaced };
+    }
+
+    // Open slots for one appointment across the technicians, best first, such as to reschedule it. Each technician
+    // offers the earliest slot of every day, so the choice spans days as well as technicians. technicians are as for
+    // dispatch, with bookings leaving out the appointment itself. Returns up to count { appointment, technician,
+    // startDate, endDate, travel, load, score }
+    suggest({ appointment, technicians, fromDate, count = 5 }) {
+        const candidates = [];
+
+        for (const { technician, intervals, bookings } of technicians) {
+            if (!this.skillRules.isQualified(appointment, technician)) {
+                continue;
+            }
+
+            const plan = { technician, intervals, bookings: [...bookings].sort(byStart) };
+
+            let candidate = this.evaluate(appointment, plan, fromDate);
+
+            while (candidate) {
+                candidates.push(candidate);
+
+                // On to the next day
+                const dayStart = startOfDay(candidate.startDate);
+
+                candidate = this.evaluate(appointment, plan, fromDate, new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1));
+            }
+        }
+
+        return candidates
+            .sort((a, b) => a.score - b.score || a.startDate - b.startDate)
+            .slice(0, count)
+            .map(({ plan, ...slot }) => slot);
+    }
+
+    // The earliest slot at or after searchFrom the technician has for the appointment, scored using the weights with
+    // the wait counted from fromDate. Null if there is none
+    evaluate(appointment, plan, fromDate, searchFrom = fromDate) {
+        const
+            { weights } = this,
+            { technician, intervals, bookings } = plan,
+            slot = findFreeSlot({
+                appointment,
+                fromDate: searchFrom,
+                intervals,
+                bookings,
+                travelDuration: (from, to) => this.getTravelDuration(from, to)
+            });
+
+        if (!slot) {
+            return null;
+        }
+
+        const
+            dayStart = startOfDay(slot.startDate),
+            dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1),
+            sameDay = bookings.filter(booking => booking.endDate > dayStart && booking.startDate < dayEnd),
+            previous = sameDay.filter(booking => booking.endDate <= slot.startDate).pop(),
+            travel = previous ? this.getTravelDuration(previous, appointment) : 0,
+            load = sameDay.reduce((total, booking) => total + (booking.endDate - booking.startDate), 0),
+            due = parseDue(appointment.due),
+            late = due ? Math.max(slot.endDate - due, 0) : 0,
+            score = (
+                weights.wait * (slot.startDate - fromDate) +
+                weights.travel * travel +
+                weights.load * load +
+                weights.late * late / parsePriority(appointment.priority)
+            ) / msPerHour;
+
+        return {
+            appointment,
+            technician,
+            ...slot,
+            travel,
+            load,
+            score,
+            plan
+        };
+    }
+}
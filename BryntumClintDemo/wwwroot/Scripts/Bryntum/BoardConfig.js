@@ -0,0 +1,67 @@
+﻿// Settings for the board. The hosting page can override any of them by defining window.scheduleBoardConfig before
+// app.js is loaded
+const BoardConfig = Object.assign({
+    // Name of the signed in dispatcher, recorded on changes they make
+    user: 'Dispatcher',
+    // Where the board loads its data from and sends changes to as they are made, see the sync contract in
+    // server/server.js. The ASP.NET app has no such endpoints, by default the board it hosts uses those of
+    // server/server.js, which has to be running. The board served by server/server.js uses its own
+    loadUrl: 'http://localhost:3005/ScheduleBoard/api/load',
+    syncUrl: 'http://localhost:3005/ScheduleBoard/api/sync',
+    // Average driving speed in mph and how much longer than a straight line roads are, used to estimate travel time
+    // between appointments
+    travelSpeed: 30,
+    travelDetourFactor: 1.3,
+    // Object with a getDuration(from, to) method returning the driving time in ms (or a Promise of it) between two
+    // { lat, lon } locations, for real routing. Defaults to the straight-line estimate
+    travelProvider: null,
+    // Object with a geocode({ street, city, state, zip }) method returning a { lat, lon } location, null or a Promise
+    // of either, to locate appointments without coordinates. Defaults to the centers of zip codes in zipCentroidsUrl
+    geocodeProvider: null,
+    zipCentroidsUrl: '/ScheduleBoard/Scripts/Bryntum/data/zip-centroids.json',
+    // Map shown by MapPanel, 'mapbox' or 'svg'. Mapbox needs an access token, without one the offline SVG map is used
+    mapProvider: 'mapbox',
+    mapboxToken: null,
+    // Link created when an unassigned appointment is dropped on a scheduled one, making it a follow-up visit. Type 2
+    // starts the follow-up lag after the visit before ends, see linkTypes in VisitChains
+    linkedVisit: {
+        type: 2,
+        lag: 30,
+        lagUnit: 'minute'
+    },
+    // Clear the start of appointments dragged back to the unassigned grid, instead of keeping it as a hint
+    clearStartOnUnassign: false,
+    // Id of the calendar with the working hours of technicians who have none of their own, for drop checks, utilization
+    // and suggested slots. null to have them work around the clock
+    defaultWorkingHours: 'standard',
+    // Share of working time booked below which a technician is under utilized, and above which over utilized
+    utilization: {
+        under: 0.5,
+        over: 0.9
+    },
+    // How many open slots the reschedule wizard suggests
+    rescheduleSlots: 5,
+    // Keys of the keyboard commands by command name, such as { assign: 'Ctrl+Enter', edit: null }, replacing the
+    // defaults listed in KeyboardDispatch. null turns a command off. Dispatchers can change them further themselves
+    keyBindings: null,
+    // Service level of unassigned appointments. They are at risk within atRiskMinutes of their due date, rules change
+    // that per service line and/or priority rank, such as { serviceLine: 'HVAC', priority: 1, atRiskMinutes: 60 }
+    sla: {
+        atRiskMinutes: 240,
+        rules: []
+    },
+    // Customer notifications. channel is an object with a send({ channel, to, subject, text }) method, see
+    // Notifications, messages are only recorded locally without one. The arrival window in messages starts at the
+    // appointment start and lasts arrivalWindowMinutes. templates replaces the default templates, offerOnChange offers
+    // to notify customers when their appointment is rescheduled or reassigned
+    notifications: {
+        channel: null,
+        arrivalWindowMinutes: 120,
+        templates: null,
+        offerOnChange: true
+    },
+    // WebSocket url streaming technician status and GPS positions, relative to the page. No live updates without one
+    liveUpdatesUrl: null
+}, window.scheduleBoardConfig);
+
+export default BoardConfig;
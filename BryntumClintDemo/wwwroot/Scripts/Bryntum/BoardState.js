@@ -0,0 +1,300 @@
+﻿import Base from './lib/Core/Base.js';
+import Delayable from './lib/Core/mixin/Delayable.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+
+// Version of the shape of the saved state. Bump it when the shape changes, and add a migration from the version before
+export const version = 1;
+
+// Upgrades saved state by one version, keyed by the version they upgrade from, like 1: state => ({ ...state, added }).
+// State without a path to the current version is dropped, the board then starts from its default layout
+const migrations = {};
+
+// Inline styles the Splitters set to size the panes on either side of them
+const sizeProperties = ['flexGrow', 'flexBasis', 'width', 'height'];
+
+// Saved state as stored, { version, state }, upgraded to the current version. Null if there is none or it can't be
+export function migrate(saved) {
+    let { version: savedVersion, state } = saved || {};
+
+    while (state && savedVersion !== version) {
+        const migration = migrations[savedVersion];
+
+        state = migration ? migration(state) : null;
+        savedVersion++;
+    }
+
+    return state || null;
+}
+
+// Keeps state in localStorage, or any Storage passed as storage. Any object with load(key), save(key, data) and
+// remove(key) can be used as backend instead, each may return a Promise, such as to keep the layout on the server
+export class LocalStorageBackend {
+    constructor({ storage = globalThis.localStorage, prefix = 'scheduleBoard.state.' } = {}) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    load(key) {
+        try {
+            return JSON.parse(this.storage?.getItem(this.prefix + key)) || null;
+        }
+        catch (error) {
+            return null;
+        }
+    }
+
+    save(key, data) {
+        try {
+            this.storage?.setItem(this.prefix + key, JSON.stringify(data));
+        }
+        catch (error) {
+            // Storage full or not allowed, the layout then only lasts for this session
+        }
+    }
+
+    remove(key) {
+        this.storage?.removeItem(this.prefix + key);
+    }
+}
+
+// Columns by field, generated column ids depend on the order columns are created in
+function getGridState(grid) {
+    const { columns, subGrids } = grid.getState();
+
+    return {
+        columns: columns
+            .map(({ id, ...column }) => ({ field: grid.columns.getById(id)?.field, ...column }))
+            .filter(column => column.field),
+        subGrids,
+        store: grid.store.getState()
+    };
+}
+
+function applyGridState(grid, { columns, subGrids, store }) {
+    columns?.forEach(({ field, ...column }) => grid.columns.get(field)?.applyState(column));
+
+    if (subGrids) {
+        grid.applyState({ subGrids });
+    }
+
+    // Only sorting and grouping, filters are set by the board itself
+    if (store) {
+        const { sorters = [], groupers = [] } = store;
+
+        if (groupers.length) {
+            grid.store.group(groupers[0].field, groupers[0].ascending);
+        }
+        else if (grid.store.isGrouped) {
+            grid.store.clearGroupers();
+        }
+
+        grid.store.sort(sorters);
+    }
+}
+
+// Saves the layout and view of the board for each user and restores it on their next visit: the shown range and date,
+// Schedule and unassigned grid columns, sorting and grouping, collapsed technician groups, the sizes of the panes set
+// with the Splitters and the map view. Saved whenever one of them changes, under the user's name in the backend.
+// reset() goes back to the layout the board was built with
+export default class BoardState extends Delayable(Base) {
+    static get defaultConfig() {
+        return {
+            schedule: null,
+            unassignedGrid: null,
+            mapPanel: null,
+            // Splitters to save the pane sizes of
+            splitters: [],
+            // Elements or widgets sized by the splitters, keyed by the name to save their size under
+            panes: {},
+            backend: null,
+            user: null,
+            // Restore the shown range and date, turn off when they come from elsewhere such as the url
+            restoreRange: true,
+            saveDelay: 500
+        };
+    }
+
+    construct(config) {
+        super.construct(config);
+
+        const me = this;
+
+        me.backend = me.backend || new LocalStorageBackend();
+
+        // Changes often come in a row, such as while resizing a column
+        me.bufferedSave = me.buffer('save', me.saveDelay);
+    }
+
+    get key() {
+        return this.user || 'default';
+    }
+
+    // Remembers the layout the board was built with for reset, then applies the saved one and starts saving changes
+    async restore() {
+        const me = this;
+
+        me.defaults = me.getState();
+
+        const state = migrate(await me.backend.load(me.key));
+
+        if (state && !me.isDestroyed) {
+            me.applyState(state);
+        }
+
+        me.track();
+    }
+
+    getState() {
+        const
+            { schedule, unassignedGrid, mapPanel, panes } = this,
+            { range, rangeDate } = schedule;
+
+        return {
+            schedule: {
+                range,
+                date: DateHelper.format(rangeDate, 'YYYY-MM-DD'),
+                ...getGridState(schedule),
+                collapsedGroups: schedule.store.records
+                    .filter(record => 'groupRowFor' in record.meta && record.meta.collapsed)
+                    .map(record => record.meta.groupRowFor)
+            },
+            unassigned: getGridState(unassignedGrid),
+            panes: Object.fromEntries(Object.entries(panes).map(([name, pane]) => {
+                const { style } = pane.element || pane;
+
+                return [name, Object.fromEntries(sizeProperties.map(property => [property, style[property]]))];
+            })),
+            map: mapPanel.getState()
+        };
+    }
+
+    // Resolves once the map has moved too
+    applyState(state) {
+        const
+            me = this,
+            { schedule, unassignedGrid, mapPanel, panes } = me,
+            { schedule: scheduleState, unassigned, map } = state;
+
+        if (scheduleState) {
+            const date = DateHelper.parse(scheduleState.date, 'YYYY-MM-DD');
+
+            if (me.restoreRange && scheduleState.range) {
+                schedule.showRange(scheduleState.range, DateHelper.isValidDate(date) ? date : schedule.rangeDate);
+            }
+
+            applyGridState(schedule, scheduleState);
+
+            // Groups exist once the technicians are loaded
+            if (schedule.store.count) {
+                me.applyCollapsedGroups(scheduleState.collapsedGroups);
+            }
+            else {
+                schedule.project.on({
+                    load: () => me.applyCollapsedGroups(scheduleState.collapsedGroups),
+                    once: true
+                });
+            }
+        }
+
+        if (unassigned) {
+            applyGridState(unassignedGrid, unassigned);
+        }
+
+        Object.entries(state.panes || {}).forEach(([name, size]) => {
+            const pane = panes[name];
+
+            if (pane) {
+                Object.assign((pane.element || pane).style, size);
+            }
+        });
+
+        return map && mapPanel.applyState(map);
+    }
+
+    applyCollapsedGroups(collapsedGroups = []) {
+        const
+            { schedule } = this,
+            { group } = schedule.features;
+
+        schedule.store.records
+            .filter(record => 'groupRowFor' in record.meta)
+            .forEach(record => {
+                const collapse = collapsedGroups.includes(record.meta.groupRowFor);
+
+                if (Boolean(record.meta.collapsed) !== collapse) {
+                    group.toggleCollapse(record, collapse);
+                }
+            });
+    }
+
+    // Saves when anything that is part of the state changes
+    track() {
+        const
+            me = this,
+            { schedule, unassignedGrid, mapPanel, splitters } = me,
+            listener = { change: 'requestSave', thisObj: me };
+
+        [schedule, unassignedGrid].forEach(grid => {
+            grid.columns.on(listener);
+            grid.store.on({ sort: 'requestSave', group: 'requestSave', thisObj: me });
+        });
+
+        schedule.on({
+            rangeChange: 'requestSave',
+            toggleGroup: 'requestSave',
+            subGridCollapse: 'requestSave',
+            subGridExpand: 'requestSave',
+            thisObj: me
+        });
+
+        // The splitter between the locked and the time axis part of the Schedule
+        schedule.eachSubGrid(subGrid => subGrid.on({ resize: 'requestSave', thisObj: me }));
+
+        splitters.forEach(splitter => splitter.on({ end: 'requestSave', thisObj: me }));
+
+        me.removeMapListener = mapPanel.map.on('move', () => me.requestSave());
+
+        // Whatever is still pending when leaving
+        me.onPageHide = () => me.save();
+        window.addEventListener('pagehide', me.onPageHide);
+    }
+
+    // Changes made by reset are not saved
+    requestSave() {
+        if (!this.resetting) {
+            this.bufferedSave();
+        }
+    }
+
+    save() {
+        if (!this.isDestroyed) {
+            return this.backend.save(this.key, { version, state: this.getState() });
+        }
+    }
+
+    // Back to the layout the board was built with, and forgets the saved one
+    async reset() {
+        const me = this;
+
+        me.resetting = true;
+        me.bufferedSave.cancel();
+
+        try {
+            if (me.defaults) {
+                await me.applyState(me.defaults);
+            }
+
+            await me.backend.remove(me.key);
+        }
+        finally {
+            me.resetting = false;
+        }
+    }
+
+    doDestroy() {
+        this.removeMapListener?.();
+        window.removeEventListener('pagehide', this.onPageHide);
+
+        super.doDestroy();
+    }
+}
@@ -0,0 +1,215 @@
+﻿import InstancePlugin from './lib/Core/mixin/InstancePlugin.js';
+import GridFeatureManager from './lib/Grid/feature/GridFeatureManager.js';
+import EventHelper from './lib/Core/helper/EventHelper.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import Toast from './lib/Core/widget/Toast.js';
+import TimeSpan from './lib/Scheduler/model/TimeSpan.js';
+import { formatDuration } from './TravelTime.js';
+
+// A slot proposed for an unassigned appointment, drawn as a ghost event until the dispatcher accepts or rejects it
+class Proposal extends TimeSpan {
+    static get fields() {
+        return [
+            { name: 'appointment' },
+            { name: 'technician' },
+            { name: 'travel', defaultValue: 0 },
+            { name: 'score' }
+        ];
+    }
+}
+
+// Shows the proposals made by auto-dispatch (see Schedule#autoDispatch) as ghost events on the technicians' rows, with
+// buttons to accept or reject them one by one. Accepting assigns the appointment as one undoable transaction
+export default class DispatchProposals extends InstancePlugin {
+    static get $name() {
+        return 'DispatchProposals';
+    }
+
+    // Chains the same functions as ResourceTimeRanges, to add the ghosts to the events rendered for a technician
+    static get pluginConfig() {
+        return {
+            chain: ['onPaint', 'getEventsToRender', 'onEventDataGenerated']
+        };
+    }
+
+    construct(schedule, config) {
+        super.construct(schedule, config);
+
+        this.proposals = [];
+
+        schedule.project.on({
+            load: 'clear',
+            thisObj: this
+        });
+    }
+
+    onPaint({ firstPaint }) {
+        if (firstPaint) {
+            EventHelper.on({
+                element: this.client.foregroundCanvas,
+                delegate: '.b-proposal-action',
+                click: 'onActionClick',
+                thisObj: this
+            });
+        }
+    }
+
+    get count() {
+        return this.proposals.length;
+    }
+
+    // Replaces the current proposals with new ones, { appointment, technician, startDate, endDate, travel, score }
+    show(proposals) {
+        this.proposals = proposals.map(({ appointment, technician, startDate, endDate, travel, score }) => new Proposal({
+            name: appointment.name,
+            startDate,
+            endDate,
+            appointment,
+            technician,
+            travel,
+            score
+        }));
+
+        this.refresh();
+    }
+
+    clear() {
+        if (this.proposals.length) {
+            this.proposals = [];
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        const { client } = this;
+
+        if (client.isPainted) {
+            client.refreshWithTransition();
+        }
+
+        client.trigger('proposalsChange', { proposals: this.proposals });
+    }
+
+    remove(proposals) {
+        this.proposals = this.proposals.filter(proposal => !proposals.includes(proposal));
+        this.refresh();
+    }
+
+    reject(proposal) {
+        this.remove([proposal]);
+    }
+
+    rejectAll() {
+        this.clear();
+    }
+
+    accept(proposal) {
+        return this.acceptProposals([proposal], 'Accept proposal');
+    }
+
+    acceptAll() {
+        return this.acceptProposals(this.proposals, 'Accept auto-dispatch');
+    }
+
+    // Assigns the appointments in one transaction. The board may have changed since the proposals were made, those that
+    // no longer fit are dropped and reported
+    async acceptProposals(proposals, title) {
+        const
+            { client } = this,
+            { dropValidator } = client,
+            accepted = [],
+            stale = [];
+
+        proposals = proposals.slice();
+
+        await client.actions.transact(title, () => {
+            for (const proposal of proposals) {
+                const
+                    { appointment, technician, startDate } = proposal,
+                    result = !appointment.assignments.length && dropValidator.validate({ appointment, technician, startDate });
+
+                if (result && result.valid && !result.snapped) {
+                    appointment.startDate = startDate;
+                    appointment.assign(technician);
+                    accepted.push(proposal);
+                }
+                else {
+                    stale.push(proposal);
+                }
+            }
+        });
+
+        this.remove(proposals);
+
+        if (stale.length) {
+            Toast.show(`Dropped ${stale.length} proposal(s) that no longer fit the schedule`);
+        }
+
+        return accepted;
+    }
+
+    onActionClick(event) {
+        const proposal = event.target.closest('.b-proposal-wrap')?.elementData?.eventRecord;
+
+        if (proposal) {
+            event.stopPropagation();
+
+            if (event.target.closest('.b-proposal-action').dataset.action === 'accept') {
+                this.accept(proposal).catch(error => this.client.actions.showFailure('accept the proposal', error));
+            }
+            else {
+                this.reject(proposal);
+            }
+        }
+    }
+
+    // Called when rendering a technician's row, adds its proposals
+    // (chained function from Scheduler)
+    getEventsToRender(technician, events) {
+        if (!this.disabled) {
+            events.push(...this.proposals.filter(proposal => proposal.technician === technician));
+        }
+
+        return events;
+    }
+
+    // Called for each event during render, turns proposals into ghost events
+    // (chained function from Scheduler)
+    onEventDataGenerated(renderData) {
+        const proposal = renderData.eventRecord;
+
+        if (proposal instanceof Proposal) {
+            const { appointment, travel, startDate, endDate } = proposal;
+
+            renderData.wrapperCls['b-proposal-wrap'] = 1;
+            renderData.cls.add('b-proposal');
+            renderData.eventId = `proposal-${proposal.id}`;
+
+            renderData.children.push(
+                {
+                    tag: 'span',
+                    className: 'b-proposal-name',
+                    text: appointment.name,
+                    title: `Proposed ${DateHelper.format(startDate, 'h:mm A')} - ${DateHelper.format(endDate, 'h:mm A')}${travel ? `, ${formatDuration(travel)} drive` : ''}`
+                },
+                {
+                    tag: 'i',
+                    className: 'b-fa b-fa-check b-proposal-action',
+                    dataset: { action: 'accept' },
+                    title: 'Accept'
+                },
+                {
+                    tag: 'i',
+                    className: 'b-fa b-fa-times b-proposal-action',
+                    dataset: { action: 'reject' },
+                    title: 'Reject'
+                }
+            );
+        }
+    }
+}
+
+// No feature based styling needed, do not add a cls to Scheduler
+DispatchProposals.featureClass = '';
+
+GridFeatureManager.registerFeature(DispatchProposals, false, 'Schedule');
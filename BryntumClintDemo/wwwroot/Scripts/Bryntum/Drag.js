@@ -1,8 +1,12 @@
 ﻿import DragHelper from './lib/Core/helper/DragHelper.js';
 import DomHelper from './lib/Core/helper/DomHelper.js';
 import Rectangle from './lib/Core/helper/util/Rectangle.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import { formatDuration } from './TravelTime.js';
+import BoardConfig from './BoardConfig.js';
 
-// Handles dragging unscheduled session from the grid onto the schedule
+// Handles dragging unscheduled session from the grid onto the schedule. Hold Shift while dropping for an emergency
+// insert, which pushes the technician's later appointments to make room
 export default class Drag extends DragHelper {
     static get defaultConfig() {
         return {
@@ -12,7 +16,10 @@ export default class Drag extends DragHelper {
             // Only allow drops on the schedule area
             dropTargetSelector: '.b-timeline-subgrid',
             // Only allow drag of row elements inside on the unplanned grid
-            targetSelector: '.b-grid-row:not(.b-group-row)'
+            targetSelector: '.b-grid-row:not(.b-group-row)',
+            // Modifier held on drop for an emergency insert, which pushes the technician's later appointments to make
+            // room instead of looking for a free slot, see DropValidator#validateInsert
+            insertKey: 'shiftKey'
         };
     }
 
@@ -23,37 +30,51 @@ export default class Drag extends DragHelper {
             dragstart: 'onSessionDragStart',
             drag: 'onSessionDrag',
             drop: 'onSessionDrop',
+            abort: 'onSessionAbort',
             thisObj: this
         });
     }
 
+    // The appointment a grabbed element stands for. Pass resolveAppointment in the config to drag appointments from
+    // other elements, as done for the map markers in app.js
+    resolveAppointment(element) {
+        return this.grid.getRecordFromElement(element);
+    }
+
+    // The proxy becomes an event bar, start from a clean element instead of a copy of the grid row or map marker
+    createProxy() {
+        return DomHelper.createElement({
+            className: 'b-sch-event-wrap b-sch-style-border b-unassigned-class'
+        });
+    }
+
     onSessionDragStart({ context }) {
         const
             me = this,
             { schedule } = me,
             mouseX = context.clientX,
             proxy = context.element,
-            appointment = me.grid.getRecordFromElement(context.grabbed),
+            appointment = me.resolveAppointment(context.grabbed),
             newSize = schedule.timeAxisViewModel.getDistanceForDuration(appointment.durationMS);
 
         // save a reference to the session being dragged so we can access it later
         context.appointment = appointment;
 
-        // Mutate dragged element (grid row) into an event bar
-        proxy.classList.remove('b-grid-row');
-        proxy.classList.add('b-sch-event-wrap');
-        proxy.classList.add('b-sch-style-border');
-        proxy.classList.add('b-unassigned-class');
+        // Fill the proxy (see createProxy) to look like an event bar
         proxy.innerHTML = `
             <div class="b-sch-event b-has-content b-sch-event-withicon">
                 <div class="b-sch-event-content">
                 <div>
                     <div>${appointment.name}</div>
                     <span><i></i>Urgency Level: ${appointment.priority}</span>
+                    <div class="b-drop-message"></div>
                 </div>
             </div>
         `;
 
+        // Show which technicians can take the appointment
+        schedule.highlightTechnicians(schedule.dropValidator.qualifiedTechnicians(appointment));
+
         schedule.enableScrollingCloseToEdges(schedule.timeAxisSubGrid);
 
         // If the new width is narrower than the grabbed element...
@@ -73,82 +94,144 @@ export default class Drag extends DragHelper {
         schedule.element.classList.add('b-dragging-event');
     }
 
-    onSessionDrag({ context }) {
+    onSessionDrag({ context, event }) {
         const
-            date = this.schedule.getDateFromCoordinate(context.newX, 'round', false),
-            technician = context.target && this.schedule.resolveResourceRecord(context.target),
-            validationIndicator = context.element.querySelector('i');
-
-        // Don't allow drops everywhere, only allow drops if the drop is on the timeaxis and on top of a room
-        if (date && technician) { //} && room.capacity >= context.session.participants) {
-            context.valid = true;
-            validationIndicator.className = 'b-fa b-fa-fw b-fa-check';
-        }
-        else {
-            context.valid = false;
-            validationIndicator.className = 'b-fa b-fa-fw b-fa-times';
-        }
+            { schedule } = this,
+            { appointment } = context,
+            date = schedule.getDateFromCoordinate(context.newX, 'round', false),
+            technician = context.target && schedule.resolveResourceRecord(context.target),
+            targetAppointment = context.target && schedule.resolveEventRecord(context.target),
+            insert = Boolean(date && event?.[this.insertKey]),
+            validationIndicator = context.element.querySelector('i'),
+            messageElement = context.element.querySelector('.b-drop-message'),
+            // Only allow drops on the time axis, on top of a technician qualified for the appointment. Dropping on
+            // another appointment links them, the engine then decides the start so there is no time to check. An
+            // insert goes in where it is dropped, also on top of another appointment
+            result = !date ? { valid: false } : insert ? schedule.dropValidator.validateInsert({
+                appointment,
+                technician,
+                startDate: date
+            }) : schedule.dropValidator.validate({
+                appointment,
+                technician,
+                startDate: targetAppointment ? null : date
+            });
+
+        context.valid = result.valid;
+        context.insert = insert;
+        context.shifts = result.valid && insert ? result.shifts : null;
+        context.element.classList.toggle('b-insert-drop', insert);
+        validationIndicator.className = result.valid ? 'b-fa b-fa-fw b-fa-check' : 'b-fa b-fa-fw b-fa-times';
+        messageElement.innerHTML = StringHelper.encodeHtml(result.message || (result.travel?.duration ? `${formatDuration(result.travel.duration)} drive from ${result.travel.from.name}` : ''));
+
+        // Start date to use on drop, snapped to the next free slot if needed
+        context.startDate = result.startDate;
+
+        schedule.shadeWorkingTime(technician);
+        schedule.previewPush(technician, context.shifts);
 
         // Save reference to the room so we can use it in onSessionDrop
         context.technician = technician;
     }
 
     // Drop callback after a mouse up, take action and transfer the unplanned session to the real EventStore (if it's valid)
-    async onSessionDrop({ context }) {
+    async onSessionDrop({ context, event }) {
         const
             me = this,
             { schedule } = me,
             { appointment, target } = context;
 
-        schedule.disableScrollingCloseToEdges(schedule.timeAxisSubGrid);
+        // The modifier may have been pressed or released since the last move
+        if (target && Boolean(event?.[me.insertKey]) !== context.insert) {
+            me.onSessionDrag({ context, event });
+        }
 
-        // If drop was done in a valid location, set the startDate and transfer the task to the Scheduler event store
-        if (context.valid && target) {
-            const
-                date = schedule.getDateFromCoordinate(context.newX, 'round', false),
-                targetAppointment = schedule.resolveEventRecord(context.target);
-
-            // Suspending refresh to not have multiple redraws from date change and assignments (will animate weirdly)
-            schedule.suspendRefresh();
-
-            // Dropped on a scheduled event, create a dependency between them
-            if (targetAppointment) {
-                schedule.dependencyStore.add({
-                    fromEvent: targetAppointment,
-                    toEvent: appointment,
-                    lag: 30,
-                    lagUnit: 'minutes'
-                });
-
-                // Color them to signal they are linked
-                targetAppointment.eventColor = 'orange';
-                appointment.eventColor = 'orange';
+        schedule.disableScrollingCloseToEdges(schedule.timeAxisSubGrid);
+        schedule.highlightTechnicians(null);
+        schedule.shadeWorkingTime(null);
+        schedule.previewPush(null);
+
+        try {
+            // Inserted with the later appointments pushed, as one step to undo
+            if (context.valid && target && context.insert) {
+                const pushed = context.shifts.map(({ booking }) => booking);
+
+                try {
+                    await schedule.actions.transact('Emergency insert', () => {
+                        context.shifts.forEach(({ booking, startDate }) => {
+                            booking.startDate = startDate;
+                        });
+
+                        appointment.startDate = context.startDate;
+                        appointment.assign(context.technician);
+                    });
+                }
+                catch (error) {
+                    schedule.actions.showFailure('insert the appointment', error);
+                    me.abort();
+                    return;
+                }
+
+                context.finalize();
+
+                schedule.actions.offerNotification(pushed, 'rescheduled');
             }
-            // Dropped on a date, set as startDate
-            else if (date) {
-                appointment.startDate = date;
+            // If drop was done in a valid location, set the startDate and transfer the task to the Scheduler event store
+            else if (context.valid && target) {
+                const
+                    date = context.startDate,
+                    targetAppointment = schedule.resolveEventRecord(context.target);
+
+                // Suspending refresh to not have multiple redraws from date change and assignments (will animate weirdly)
+                schedule.suspendRefresh();
+
+                // Dropped on a scheduled event, link them. The appointment becomes a follow-up visit, scheduled by the engine
+                // from the one it was dropped on. The chain is colored by the Schedule, see VisitChains
+                if (targetAppointment) {
+                    schedule.dependencyStore.add({
+                        ...BoardConfig.linkedVisit,
+                        fromEvent: targetAppointment,
+                        toEvent: appointment
+                    });
+                }
+                // Dropped on a date, set as startDate
+                else if (date) {
+                    appointment.startDate = date;
+                }
+
+                // Assigned to the room (resource) it was dropped on
+                appointment.assign(context.technician);
+
+                // Commit changes
+                await schedule.project.commitAsync();
+
+                // No longer suspending refresh, all operations have finished
+                schedule.resumeRefresh();
+
+                // Redraw, wihout transitions to not delay dependency drawing
+                schedule.refresh();
+
+                // Finalize the drag operation
+                context.finalize();
+            }
+            // Dropped somewhere undesired, abort
+            else {
+                me.abort();
             }
-
-            // Assigned to the room (resource) it was dropped on
-            appointment.assign(context.technician);
-
-            // Commit changes
-            await schedule.project.commitAsync();
-
-            // No longer suspending refresh, all operations have finished
-            schedule.resumeRefresh();
-
-            // Redraw, wihout transitions to not delay dependency drawing
-            schedule.refresh();
-
-            // Finalize the drag operation
-            context.finalize();
         }
-        // Dropped somewhere undesired, abort
-        else {
-            me.abort();
+        finally {
+            schedule.element.classList.remove('b-dragging-event');
         }
+    }
 
+    // Drag cancelled with Escape, clean up what onSessionDragStart did
+    onSessionAbort() {
+        const { schedule } = this;
+
+        schedule.disableScrollingCloseToEdges(schedule.timeAxisSubGrid);
+        schedule.highlightTechnicians(null);
+        schedule.shadeWorkingTime(null);
+        schedule.previewPush(null);
         schedule.element.classList.remove('b-dragging-event');
     }
 };
\ No newline at end of file
@@ -0,0 +1,264 @@
+﻿import Base from './lib/Core/Base.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import SkillRules from './SkillRules.js';
+import TravelTime, { formatDuration } from './TravelTime.js';
+import { findFreeSlot, insertAndPush } from './AutoDispatcher.js';
+
+// Decides if an appointment may be assigned to a technician at a given time. Used for drops from the unassigned grid
+// as well as by EventDrag, so both follow the same rules. validate() returns { valid } or { valid : false, message }
+export default class DropValidator extends Base {
+    static get defaultConfig() {
+        return {
+            schedule: null,
+            skillRules: null,
+            travelTime: null,
+            // When a drop falls outside working time or on top of another appointment, move it to the next free slot
+            // instead of refusing it
+            snapToFreeSlot: true,
+            // How far ahead to look for a free slot
+            searchDays: 7
+        };
+    }
+
+    construct(config) {
+        super.construct(config);
+
+        this.skillRules = this.skillRules || new SkillRules();
+        this.travelTime = this.travelTime || new TravelTime();
+    }
+
+    get technicians() {
+        return this.schedule.resourceStore.allRecords.filter(record => !record.isSpecialRow);
+    }
+
+    // Pass startDate to also check the technician's working hours, bookings and travel time. A valid result then holds the
+    // startDate and endDate to use, which differ from the requested ones if the drop was snapped (snapped : true), and
+    // the travel from the previous appointment (see getTravel). Appointments in ignore, a Set, do not count as bookings,
+    // used when several appointments are moved together
+    validate({ appointment, technician, startDate, endDate, ignore }) {
+        if (!technician || technician.isSpecialRow) {
+            return {
+                valid: false,
+                message: 'Drop on a technician'
+            };
+        }
+
+        const result = this.skillRules.check(appointment, technician);
+
+        if (result.valid && startDate) {
+            return this.checkAvailability(appointment, technician, startDate, endDate || new Date(startDate.getTime() + appointment.durationMS), ignore);
+        }
+
+        return result;
+    }
+
+    checkAvailability(appointment, technician, startDate, endDate, ignore) {
+        const conflict = this.getConflict(appointment, technician, startDate, endDate, ignore);
+
+        if (!conflict) {
+            return {
+                valid: true,
+                startDate,
+                endDate,
+                travel: this.getTravel(appointment, technician, startDate, ignore)
+            };
+        }
+
+        const slot = this.snapToFreeSlot && this.findFreeSlot(appointment, technician, startDate, ignore);
+
+        if (slot) {
+            return {
+                valid: true,
+                snapped: true,
+                message: `${conflict}, moved to ${DateHelper.format(slot.startDate, 'ddd h:mm A')}`,
+                travel: this.getTravel(appointment, technician, slot.startDate, ignore),
+                ...slot
+            };
+        }
+
+        return {
+            valid: false,
+            message: conflict
+        };
+    }
+
+    // Emergency insert, the appointment goes in at startDate and the technician's later appointments are pushed to make
+    // room, see insertAndPush. Frozen and closed appointments are not moved. A valid result holds the startDate and
+    // endDate to use and shifts, the { booking, startDate, endDate } of each appointment pushed
+    validateInsert({ appointment, technician, startDate }) {
+        const result = this.validate({ appointment, technician });
+
+        if (!result.valid) {
+            return result;
+        }
+
+        const plan = insertAndPush({
+            appointment,
+            startDate,
+            intervals: this.getWorkingIntervals(technician, startDate, DateHelper.add(startDate, this.searchDays, 'day')),
+            bookings: this.getBookings(technician, appointment),
+            isFixed: booking => booking.frozen || booking.isClosed,
+            travelDuration: (from, to) => this.getTravelDuration(from, to)
+        });
+
+        if (!plan) {
+            return {
+                valid: false,
+                message: `No room to push the later appointments within ${this.searchDays} days`
+            };
+        }
+
+        const { shifts } = plan;
+
+        return {
+            valid: true,
+            snapped: plan.startDate - startDate !== 0,
+            message: shifts.length
+                ? `Pushes ${shifts.length} appointment(s), the last to ${DateHelper.format(shifts[shifts.length - 1].startDate, 'ddd h:mm A')}`
+                : 'Nothing to push',
+            travel: this.getTravel(appointment, technician, plan.startDate),
+            ...plan
+        };
+    }
+
+    // Returns why the technician can't take the appointment at the given time, or null if they can
+    getConflict(appointment, technician, startDate, endDate, ignore) {
+        const calendar = technician.workingCalendar;
+
+        if (calendar && calendar.calculateDurationMs(startDate, endDate) < endDate - startDate) {
+            return 'Outside working hours';
+        }
+
+        if (this.getBookings(technician, appointment, ignore).some(booking => booking.startDate < endDate && booking.endDate > startDate)) {
+            return 'Overlaps another appointment';
+        }
+
+        const
+            travel = this.getTravel(appointment, technician, startDate, ignore),
+            next = this.getNextBooking(appointment, technician, endDate, ignore);
+
+        if (travel && travel.gap < travel.duration) {
+            return `Needs ${formatDuration(travel.duration)} to drive from ${travel.from.name}`;
+        }
+
+        if (next) {
+            const duration = this.getTravelDuration(appointment, next);
+
+            if (next.startDate - endDate < duration) {
+                return `Needs ${formatDuration(duration)} to drive to ${next.name}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Driving time in ms between two appointments, 0 if either has no coordinates
+    getTravelDuration(from, to) {
+        return this.travelTime.getDuration(from.location, to.location) || 0;
+    }
+
+    // Travel to the appointment from the technician's previous appointment that day, as { from, duration, gap } where
+    // gap is the time available between the two. Null for the first appointment of the day
+    getTravel(appointment, technician, startDate = appointment.startDate, ignore) {
+        const from = startDate && this.getPreviousBooking(appointment, technician, startDate, ignore);
+
+        return from ? {
+            from,
+            duration: this.getTravelDuration(from, appointment),
+            gap: startDate - from.endDate
+        } : null;
+    }
+
+    // The technician's last appointment that day ending before startDate
+    getPreviousBooking(appointment, technician, startDate, ignore) {
+        const dayStart = DateHelper.clearTime(startDate);
+
+        return this.getBookings(technician, appointment, ignore)
+            .filter(booking => booking.endDate <= startDate && booking.endDate >= dayStart)
+            .reduce((previous, booking) => (!previous || booking.endDate > previous.endDate ? booking : previous), null);
+    }
+
+    // The technician's first appointment that day starting after endDate
+    getNextBooking(appointment, technician, endDate, ignore) {
+        const dayEnd = DateHelper.add(DateHelper.clearTime(endDate), 1, 'day');
+
+        return this.getBookings(technician, appointment, ignore)
+            .find(booking => booking.startDate >= endDate && booking.startDate < dayEnd) || null;
+    }
+
+    // Working time of the technician between the dates, as a list of { startDate, endDate }
+    getWorkingIntervals(technician, startDate, endDate) {
+        const
+            calendar = technician.workingCalendar,
+            intervals = [];
+
+        if (!calendar) {
+            return [{ startDate, endDate }];
+        }
+
+        calendar.forEachAvailabilityInterval({ startDate, endDate }, (intervalStart, intervalEnd, calendarCacheInterval) => {
+            if (calendarCacheInterval.getIsWorking()) {
+                const last = intervals[intervals.length - 1];
+
+                // Join adjacent intervals
+                if (last && last.endDate.getTime() === intervalStart.getTime()) {
+                    last.endDate = intervalEnd;
+                }
+                else {
+                    intervals.push({ startDate: intervalStart, endDate: intervalEnd });
+                }
+            }
+        });
+
+        return intervals;
+    }
+
+    // Working time of the technician between the dates and how much of it is booked, as { booked, available } in ms.
+    // Both are measured in the technician's working hours, time booked outside them does not count. Overlapping
+    // bookings count twice, which can take booked over available
+    getUtilization(technician, startDate, endDate) {
+        const
+            calendar = technician.workingCalendar,
+            workingTime = (start, end) => calendar ? calendar.calculateDurationMs(start, end) : end - start;
+
+        let booked = 0;
+
+        for (const booking of this.getBookings(technician)) {
+            const
+                start = DateHelper.max(booking.startDate, startDate),
+                end = DateHelper.min(booking.endDate, endDate);
+
+            if (start < end) {
+                booked += workingTime(start, end);
+            }
+        }
+
+        return {
+            booked,
+            available: workingTime(startDate, endDate)
+        };
+    }
+
+    // Appointments occupying the technician's time other than appointment and those in ignore, sorted by start
+    getBookings(technician, appointment, ignore) {
+        return this.schedule.eventStore.getEventsForResource(technician)
+            .filter(event => event !== appointment && !ignore?.has(event) && event.startDate && event.endDate)
+            .sort((a, b) => a.startDate - b.startDate);
+    }
+
+    // Earliest { startDate, endDate } at or after fromDate where the appointment fits inside working time without
+    // overlapping other bookings, leaving time to drive to and from them. Null if there is none within searchDays
+    findFreeSlot(appointment, technician, fromDate, ignore) {
+        return findFreeSlot({
+            appointment,
+            fromDate,
+            intervals: this.getWorkingIntervals(technician, fromDate, DateHelper.add(fromDate, this.searchDays, 'day')),
+            bookings: this.getBookings(technician, appointment, ignore),
+            travelDuration: (from, to) => this.getTravelDuration(from, to)
+        });
+    }
+
+    qualifiedTechnicians(appointment) {
+        return this.skillRules.qualifiedTechnicians(appointment, this.technicians);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+﻿import Popup from './lib/Core/widget/Popup.js';
+import './lib/Core/widget/DisplayField.js';
+import './lib/Core/widget/TextAreaField.js';
+import './lib/Core/widget/NumberField.js';
+import './lib/Core/widget/DateTimeField.js';
+import './lib/Core/widget/DurationField.js';
+import './lib/Core/widget/Combo.js';
+
+// A modal popup hosting a small form. Use FormDialog.prompt(), which resolves with the field values when OK is
+// clicked or with null when the dialog is cancelled or closed
+export default class FormDialog extends Popup {
+    // Factoryable type name
+    static get type() {
+        return 'formdialog';
+    }
+
+    static get $name() {
+        return 'FormDialog';
+    }
+
+    static get defaultConfig() {
+        return {
+            modal: true,
+            autoShow: false,
+            closable: true,
+            closeAction: 'destroy',
+            cls: 'b-form-dialog',
+            width: '32em',
+            defaults: {
+                labelWidth: '9em'
+            },
+            // Pass null to only show the OK button, for read only dialogs
+            cancelText: 'Cancel',
+            okText: 'OK',
+            bbar: {
+                items: {
+                    spacer: {
+                        type: 'widget',
+                        flex: 1
+                    },
+                    cancelButton: {
+                        text: 'Cancel',
+                        onClick: 'up.onCancelClick'
+                    },
+                    okButton: {
+                        text: 'OK',
+                        cls: 'b-raised b-blue',
+                        onClick: 'up.onOkClick'
+                    }
+                }
+            }
+        };
+    }
+
+    static prompt(config) {
+        return new FormDialog(config).prompt();
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const
+            me = this,
+            { cancelButton, okButton } = me.bbar.widgetMap;
+
+        okButton.text = me.okText;
+
+        if (me.cancelText) {
+            cancelButton.text = me.cancelText;
+        }
+        else {
+            cancelButton.hide();
+        }
+    }
+
+    prompt() {
+        const me = this;
+
+        me.show();
+
+        return new Promise(resolve => {
+            me.resolve = resolve;
+        });
+    }
+
+    onOkClick() {
+        // Keep the dialog open until all fields are valid
+        if (this.isValid) {
+            this.finish(this.values);
+        }
+    }
+
+    onCancelClick() {
+        this.finish(null);
+    }
+
+    finish(values) {
+        const { resolve } = this;
+
+        this.resolve = null;
+        resolve?.(values);
+
+        this.close();
+    }
+
+    doDestroy() {
+        // Closed using the close tool or Escape, treat as cancelled
+        this.resolve?.(null);
+
+        super.doDestroy();
+    }
+};
+
+// Register this widget type with its Factory
+FormDialog.initClass();
\ No newline at end of file
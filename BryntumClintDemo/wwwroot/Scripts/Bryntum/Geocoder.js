@@ -0,0 +1,115 @@
+﻿// Finds the { lat, lon } location of appointment addresses. Kept free of any Bryntum dependency like TravelTime. A
+// provider is any object with a geocode({ street, city, state, zip }) method returning a location, null when the
+// address can't be found, or a Promise of either for providers backed by a geocoding service
+
+// Offline stand-in for a geocoding service, places addresses at the center of their zip code. Locations are marked
+// approximate. centroids maps 5 digit zip codes to [lat, lon], pass url instead to load them on first use. The table
+// in data/zip-centroids.json is averaged from the located appointments of the demo data
+export class ZipCentroidProvider {
+    constructor({ url = null, centroids = null } = {}) {
+        this.url = url;
+        this.centroids = centroids;
+    }
+
+    load() {
+        return this.loading || (this.loading = this.centroids ? Promise.resolve(this.centroids) : fetch(this.url)
+            .then(response => response.ok ? response.json() : {})
+            .catch(() => ({}))
+            .then(centroids => this.centroids = centroids));
+    }
+
+    async geocode({ zip }) {
+        const
+            centroids = await this.load(),
+            centroid = centroids[String(zip ?? '').trim().slice(0, 5)];
+
+        return centroid ? { lat: centroid[0], lon: centroid[1], approximate: true } : null;
+    }
+}
+
+// Same address, same key, regardless of case and spacing
+export function addressKey({ street, city, state, zip }) {
+    return [street, city, state, zip].map(part => String(part ?? '').trim().toLowerCase().replace(/\s+/g, ' ')).join('|');
+}
+
+// Wraps a provider and caches its answers in storage, localStorage by default, so an address is only looked up once
+// across sessions. Addresses the provider could not find are remembered for this session only, to try them again
+// after a reload
+export default class Geocoder {
+    constructor({ provider, storage = globalThis.localStorage, storageKey = 'scheduleBoard.geocodeCache', saveDelay = 1000 }) {
+        this.provider = provider;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.saveDelay = saveDelay;
+        this.pending = new Map();
+        this.cache = new Map(Object.entries(this.read()));
+    }
+
+    // Resolves with the location of the address, null if it could not be found
+    geocode(address) {
+        const
+            me = this,
+            key = addressKey(address);
+
+        if (me.cache.has(key)) {
+            return Promise.resolve(me.cache.get(key));
+        }
+
+        // Lookups of an address already being looked up share the answer
+        if (!me.pending.has(key)) {
+            me.pending.set(key, Promise.resolve()
+                .then(() => me.provider.geocode(address))
+                // A failed lookup leaves the address unresolved, like one that is not found
+                .catch(() => null)
+                .then(location => {
+                    me.pending.delete(key);
+                    me.cache.set(key, location || null);
+
+                    if (location) {
+                        me.requestSave();
+                    }
+
+                    return location || null;
+                }));
+        }
+
+        return me.pending.get(key);
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.storage?.getItem(this.storageKey)) || {};
+        }
+        catch (error) {
+            return {};
+        }
+    }
+
+    // Many addresses resolve at once on load, write them together
+    requestSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    save() {
+        const found = {};
+
+        this.cache.forEach((location, key) => {
+            if (location) {
+                found[key] = location;
+            }
+        });
+
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(found));
+        }
+        catch (error) {
+            // Storage full or not allowed, the cache then only lasts for this session
+        }
+    }
+
+    clear() {
+        this.cache.clear();
+        this.storage?.removeItem(this.storageKey);
+    }
+}
@@ -0,0 +1,67 @@
+﻿// Keys and their modifiers as bindings, strings such as 'Ctrl+Shift+K', 'ArrowUp' or '?'. Key names are those of
+// KeyboardEvent.key. Kept free of any Bryntum dependency, see KeyboardDispatch for the commands bound to them
+const
+    modifiers = ['Ctrl', 'Alt', 'Shift', 'Meta'],
+    modifierAliases = { control: 'Ctrl', ctrl: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta' },
+    modifierKeys = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'],
+    keyNames = { ' ': 'Space', Esc: 'Escape', Left: 'ArrowLeft', Right: 'ArrowRight', Up: 'ArrowUp', Down: 'ArrowDown' },
+    keySymbols = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+// Writes a key with its modifiers the same way each time, such as 'Ctrl+Shift+K'. Letters are upper case and Shift is
+// left out for other characters, which it is needed to type, such as '?'
+function formatKey(key, pressed) {
+    key = keyNames[key] || key;
+
+    const printable = key.length === 1;
+
+    if (printable) {
+        key = key.toUpperCase();
+    }
+
+    return [
+        ...modifiers.filter(modifier => pressed[modifier] && !(modifier === 'Shift' && printable && !/[A-Z]/.test(key))),
+        key
+    ].join('+');
+}
+
+// A binding as written in the config, such as 'ctrl+k' or 'Shift+ArrowUp', in the form formatKey writes. Null for none
+export function normalizeBinding(binding) {
+    if (!binding) {
+        return null;
+    }
+
+    // Split on the + between parts, not on a + key. Spaces around parts are allowed, a space on its own is the key
+    const
+        parts = String(binding).split(/\+(?!$)/).map(part => part.trim() || part),
+        key = parts.pop(),
+        pressed = {};
+
+    parts.forEach(part => {
+        const modifier = modifierAliases[part.toLowerCase()];
+
+        if (modifier) {
+            pressed[modifier] = true;
+        }
+    });
+
+    return formatKey(key, pressed);
+}
+
+// The binding of a keydown event, null while only a modifier is down
+export function getBinding(event) {
+    if (modifierKeys.includes(event.key)) {
+        return null;
+    }
+
+    return formatKey(event.key, {
+        Ctrl: event.ctrlKey,
+        Alt: event.altKey,
+        Shift: event.shiftKey,
+        Meta: event.metaKey
+    });
+}
+
+// A binding as shown to the dispatcher, such as 'Shift + ↑'
+export function displayBinding(binding) {
+    return binding ? binding.split(/\+(?!$)/).map(part => keySymbols[part] || part).join(' + ') : 'Not set';
+}
@@ -0,0 +1,330 @@
+﻿import Base from './lib/Core/Base.js';
+import EventHelper from './lib/Core/helper/EventHelper.js';
+import Toast from './lib/Core/widget/Toast.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import { LocalStorageBackend } from './BoardState.js';
+import { normalizeBinding, getBinding } from './KeyBindings.js';
+import ShortcutOverlay from './ShortcutOverlay.js';
+
+// Commands that can be bound to a key, in the order the shortcut overlay lists them. key is the default binding, the
+// command is run by the method of the same name
+const commands = {
+    focusUnassigned: {
+        text: 'Focus the unassigned appointments',
+        key: 'U'
+    },
+    focusSchedule: {
+        text: 'Focus the technicians',
+        key: 'T'
+    },
+    assign: {
+        text: 'Assign the selected unassigned appointment to the selected technician, at their next free slot',
+        key: 'A'
+    },
+    nudgeEarlier: {
+        text: 'Move the selected appointment earlier by the snap increment',
+        key: 'Shift+ArrowLeft'
+    },
+    nudgeLater: {
+        text: 'Move the selected appointment later by the snap increment',
+        key: 'Shift+ArrowRight'
+    },
+    reassignUp: {
+        text: 'Reassign the selected appointment to the technician above',
+        key: 'Shift+ArrowUp'
+    },
+    reassignDown: {
+        text: 'Reassign the selected appointment to the technician below',
+        key: 'Shift+ArrowDown'
+    },
+    edit: {
+        text: 'Edit the selected appointment',
+        key: 'E'
+    },
+    showDrawer: {
+        text: 'Show the selected appointment in the service order drawer',
+        key: 'I'
+    },
+    showShortcuts: {
+        text: 'Show these shortcuts',
+        key: '?'
+    }
+};
+
+// Keyboard commands to dispatch without the mouse, see commands. The keys work anywhere on the board except while
+// typing and in popups. Appointments are taken from the selection, the schedule's focused appointment first and then
+// the unassigned grid, technicians from the selected row on the schedule. The defaults can be replaced for everyone
+// with keyBindings and by each dispatcher in the shortcut overlay, which saves them per user in the backend
+export default class KeyboardDispatch extends Base {
+    static get defaultConfig() {
+        return {
+            schedule: null,
+            unassignedGrid: null,
+            // Bindings replacing the defaults, by command name. Bind a command to null to turn it off
+            keyBindings: null,
+            // Where each dispatcher's own bindings are kept, an object with load(key), save(key, data) and remove(key)
+            // methods which may return Promises, see LocalStorageBackend
+            backend: null,
+            user: null
+        };
+    }
+
+    construct(config) {
+        super.construct(config);
+
+        const me = this;
+
+        me.backend = me.backend || new LocalStorageBackend({ prefix: 'scheduleBoard.keys.' });
+        me.userBindings = {};
+        me.updateBindings();
+
+        // Capture, to run before the grids handle the same keys
+        me.removeKeyListener = EventHelper.on({
+            element: document,
+            keydown: 'onKeyDown',
+            capture: true,
+            thisObj: me
+        });
+    }
+
+    get key() {
+        return this.user || 'default';
+    }
+
+    get commands() {
+        return commands;
+    }
+
+    // Applies the bindings the dispatcher saved
+    async restore() {
+        this.userBindings = await this.backend.load(this.key) || {};
+        this.updateBindings();
+    }
+
+    // Binding of each command, by command name
+    get bindings() {
+        return this._bindings;
+    }
+
+    updateBindings() {
+        const
+            me = this,
+            bindings = { ...me.keyBindings, ...me.userBindings };
+
+        me._bindings = {};
+        me.commandsByBinding = new Map();
+
+        Object.entries(commands).forEach(([command, { key }]) => {
+            const binding = normalizeBinding(command in bindings ? bindings[command] : key);
+
+            me._bindings[command] = binding;
+
+            if (binding) {
+                me.commandsByBinding.set(binding, command);
+            }
+        });
+
+        me.overlay?.refreshShortcuts();
+    }
+
+    // Binds a command to a key for the current dispatcher. A command bound to the same key before is left without one
+    bind(command, binding) {
+        const
+            me = this,
+            normalized = normalizeBinding(binding),
+            previous = me.commandsByBinding.get(normalized);
+
+        if (previous && previous !== command) {
+            me.userBindings[previous] = null;
+        }
+
+        me.userBindings[command] = normalized;
+        me.updateBindings();
+
+        return me.backend.save(me.key, me.userBindings);
+    }
+
+    async resetBindings() {
+        this.userBindings = {};
+        this.updateBindings();
+
+        await this.backend.remove(this.key);
+    }
+
+    onKeyDown(event) {
+        const command = this.commandsByBinding.get(getBinding(event));
+
+        if (!command || event.target.closest?.('input, textarea, select, [contenteditable="true"], .b-popup, .b-menu')) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        // Commands changing the data return a Promise, which rejects if the change failed
+        Promise.resolve(this[command]()).catch(error => this.schedule.actions.showFailure(StringHelper.uncapitalize(commands[command].text), error));
+    }
+
+    //region Selection
+
+    // The technician selected on the schedule, else the one of the focused appointment
+    get technician() {
+        const { schedule } = this;
+
+        return schedule.selectedRecords.find(record => !record.isSpecialRow) || schedule.activeAssignment?.resource || null;
+    }
+
+    // The appointment focused on the schedule, else the one selected there, else the one selected in the unassigned grid
+    get appointment() {
+        const { schedule, unassignedGrid } = this;
+
+        if (unassignedGrid.element.contains(document.activeElement)) {
+            return unassignedGrid.selectedRecord;
+        }
+
+        return schedule.activeAssignment?.event || schedule.selectedEvents[0] || unassignedGrid.selectedRecord || null;
+    }
+
+    // The appointment focused or selected on the schedule
+    get scheduledAppointment() {
+        const { schedule } = this;
+
+        return schedule.activeAssignment?.event || schedule.selectedEvents[0] || null;
+    }
+
+    //endregion
+
+    //region Commands
+
+    focusUnassigned() {
+        const
+            grid = this.unassignedGrid,
+            appointment = grid.selectedRecord || grid.store.first;
+
+        if (appointment) {
+            grid.focusCell({ id: appointment.id });
+        }
+    }
+
+    focusSchedule() {
+        const
+            { schedule } = this,
+            technician = this.technician || schedule.store.records.find(record => !record.isSpecialRow);
+
+        if (technician) {
+            schedule.focusCell({ id: technician.id });
+        }
+    }
+
+    async assign() {
+        const
+            { schedule, unassignedGrid, technician } = this,
+            appointment = unassignedGrid.selectedRecord,
+            index = unassignedGrid.store.indexOf(appointment),
+            hadFocus = unassignedGrid.element.contains(document.activeElement);
+
+        if (!appointment || !technician) {
+            Toast.show('Select an unassigned appointment and a technician to assign it to');
+            return;
+        }
+
+        if (await schedule.actions.assignToNextFreeSlot(appointment, technician)) {
+            // On to the next appointment in the queue
+            const next = unassignedGrid.store.getAt(Math.min(index, unassignedGrid.store.count - 1));
+
+            if (next) {
+                unassignedGrid.selectedRecord = next;
+
+                if (hadFocus) {
+                    unassignedGrid.focusCell({ id: next.id });
+                }
+            }
+        }
+    }
+
+    nudgeEarlier() {
+        return this.nudge(-1);
+    }
+
+    nudgeLater() {
+        return this.nudge(1);
+    }
+
+    // Moves by the snap increment of the current view, such as 15 minutes for a day
+    async nudge(direction) {
+        const
+            { schedule, scheduledAppointment } = this,
+            { resolutionUnit, resolutionIncrement } = schedule.timeAxis;
+
+        if (scheduledAppointment && await schedule.actions.nudge(scheduledAppointment, direction * resolutionIncrement, resolutionUnit)) {
+            this.refocus(scheduledAppointment);
+        }
+    }
+
+    reassignUp() {
+        return this.reassign(-1);
+    }
+
+    reassignDown() {
+        return this.reassign(1);
+    }
+
+    // To the technician on the next row up or down, skipping group headers. Not when the appointment's technician has
+    // no row shown, such as when filtered out or in a collapsed group
+    async reassign(direction) {
+        const
+            { schedule, scheduledAppointment } = this,
+            technicians = schedule.store.records.filter(record => !record.isSpecialRow),
+            index = scheduledAppointment ? technicians.indexOf(scheduledAppointment.resource) : -1,
+            technician = index !== -1 && technicians[index + direction];
+
+        if (technician && await schedule.actions.reassignTo(scheduledAppointment, technician)) {
+            this.refocus(scheduledAppointment);
+        }
+    }
+
+    edit() {
+        const { appointment } = this;
+
+        if (appointment) {
+            this.schedule.editEvent(appointment);
+        }
+    }
+
+    showDrawer() {
+        const { appointment } = this;
+
+        if (appointment) {
+            this.schedule.showServiceOrderDrawer(appointment);
+        }
+    }
+
+    showShortcuts() {
+        const me = this;
+
+        if (!me.overlay) {
+            me.overlay = new ShortcutOverlay({
+                keyboardDispatch: me
+            });
+        }
+
+        me.overlay.show();
+    }
+
+    //endregion
+
+    // Keeps the appointment selected and focused after moving it, so the next key moves it again
+    refocus(appointment) {
+        const { schedule } = this;
+
+        schedule.selectedEvents = [appointment];
+        schedule.navigateTo(appointment.assignments[0]);
+    }
+
+    doDestroy() {
+        this.removeKeyListener?.();
+        this.overlay?.destroy();
+
+        super.doDestroy();
+    }
+}
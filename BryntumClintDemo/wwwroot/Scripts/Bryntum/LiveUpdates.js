@@ -0,0 +1,129 @@
+﻿import Base from './lib/Core/Base.js';
+import Events from './lib/Core/mixin/Events.js';
+
+// Receives messages over a WebSocket, reconnecting with a growing delay when the connection drops. url may be relative
+// to the page. Any object with connect({ onMessage, onOpen, onClose }) and close() can be used as transport instead,
+// to use another push service
+export class WebSocketTransport {
+    constructor({ url, reconnectDelay = 2000, maxReconnectDelay = 60000 }) {
+        this.url = new URL(url, window.location.href);
+        this.url.protocol = this.url.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+    }
+
+    connect(handlers) {
+        const me = this;
+
+        me.handlers = handlers;
+        me.closed = false;
+        me.socket = new WebSocket(me.url);
+
+        me.socket.addEventListener('open', () => {
+            me.delay = me.reconnectDelay;
+            handlers.onOpen?.();
+        });
+
+        me.socket.addEventListener('message', ({ data }) => handlers.onMessage(data));
+
+        me.socket.addEventListener('close', () => {
+            handlers.onClose?.();
+
+            if (!me.closed) {
+                me.delay = Math.min((me.delay || me.reconnectDelay) * 2, me.maxReconnectDelay);
+                me.timer = setTimeout(() => me.connect(handlers), me.delay);
+            }
+        });
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.socket?.close();
+    }
+}
+
+// Keeps the technicians' status and GPS position up to date from a push channel. Messages are JSON:
+//   { type: 'status', technicianId, currentEventTypeId, currentEventType, statusId }
+//   { type: 'position', technicianId, lat, lon, heading, at }
+// Status changes update the technician, which redraws its row. Positions arrive often, they are set silently and
+// announced by the position event instead, see MapPanel#showTechnicianPosition. Neither is recorded for undo, the
+// fields are not persistable (see Technician)
+export default class LiveUpdates extends Events(Base) {
+    static get defaultConfig() {
+        return {
+            resourceStore: null,
+            transport: null
+        };
+    }
+
+    get connected() {
+        return Boolean(this._connected);
+    }
+
+    start() {
+        this.transport.connect({
+            onMessage: data => this.onMessage(data),
+            onOpen: () => this.setConnected(true),
+            onClose: () => this.setConnected(false)
+        });
+    }
+
+    stop() {
+        this.transport.close();
+    }
+
+    setConnected(connected) {
+        if (connected !== this.connected) {
+            this._connected = connected;
+            this.trigger('connectionChange', { connected });
+        }
+    }
+
+    onMessage(data) {
+        let message;
+
+        try {
+            message = typeof data === 'string' ? JSON.parse(data) : data;
+        }
+        catch (error) {
+            // Not an update, like those for unknown technicians below
+            return;
+        }
+
+        // Valid JSON too, but not an update
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        const technician = this.resourceStore.getById(message.technicianId);
+
+        if (!technician) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'status': {
+                const { currentEventTypeId, currentEventType, statusId } = message;
+
+                technician.set({ currentEventTypeId, currentEventType, statusId });
+                this.trigger('statusChange', { technician });
+                break;
+            }
+
+            case 'position': {
+                const { lat, lon, heading, at } = message;
+
+                technician.set({ lat, lon, heading, positionAt: at ? new Date(at) : new Date() }, null, true);
+                this.trigger('position', { technician });
+                break;
+            }
+        }
+    }
+
+    doDestroy() {
+        this.stop();
+
+        super.doDestroy();
+    }
+}
@@ -0,0 +1,115 @@
+﻿// The interface MapPanel uses to talk to a map, so the map vendor can be switched. Locations are { lat, lon }, screen
+// points are { x, y } in px relative to the map element. See MapboxAdapter and SvgMapAdapter
+//
+// Markers, popups and polylines are returned as handles:
+//   marker   { element, location, setLocation(location), remove() }
+//   popup    { element, remove() }
+//   polyline { setPoints(locations), setStyle({ color, width, opacity }), remove() }
+export default class MapAdapter {
+    // element  Element to render the map into
+    // center   Initial center location
+    // zoom     Initial zoom level, 0 shows the whole world
+    // style    'light' or 'dark'
+    constructor({ element, center, zoom = 10, style = 'light' }) {
+        this.element = element;
+        this.center = center;
+        this.zoom = zoom;
+        this.style = style;
+        this.listeners = {};
+        this.polylines = new Map();
+    }
+
+    // Resolves when the map is ready to take markers and polylines
+    get ready() {
+        return Promise.resolve();
+    }
+
+    // Listen for 'click' ({ location, point, originalEvent }) or 'move' (no arguments). Returns a function which removes
+    // the listener
+    on(eventName, fn) {
+        (this.listeners[eventName] || (this.listeners[eventName] = [])).push(fn);
+
+        return () => this.listeners[eventName] = this.listeners[eventName].filter(listener => listener !== fn);
+    }
+
+    trigger(eventName, event) {
+        this.listeners[eventName]?.forEach(fn => fn(event));
+    }
+
+    // Adds a marker. Pass element to use your own marker element, otherwise a pin in color is created. The marker
+    // element always gets the b-map-marker class
+    addMarker({ location, color, element }) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Shows html in a popup pointing at the location, offset px above it
+    showPopup({ location, html, offset = 0 }) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Draws a line through the locations. Adding a polyline with the id of an existing one replaces it
+    addPolyline({ id, points, color = '#3f51b5', width = 3, opacity = 0.8 }) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Zooms and pans so all locations are visible, leaving padding px around them
+    fitBounds(locations, { padding = 40, maxZoom = 14 } = {}) {
+        throw new Error('Implement in subclass');
+    }
+
+    panTo(location) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Current { center, zoom }
+    getView() {
+        throw new Error('Implement in subclass');
+    }
+
+    // Jumps to the location at the zoom level, without animating
+    setView(center, zoom) {
+        throw new Error('Implement in subclass');
+    }
+
+    zoomIn() {
+        throw new Error('Implement in subclass');
+    }
+
+    zoomOut() {
+        throw new Error('Implement in subclass');
+    }
+
+    // 'light' or 'dark'
+    setStyle(style) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Screen point of a location
+    project(location) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Location of a screen point
+    unproject(point) {
+        throw new Error('Implement in subclass');
+    }
+
+    // Call when the map element changes size
+    resize() {
+    }
+
+    destroy() {
+        this.listeners = {};
+        this.polylines.clear();
+    }
+
+    // Bounding box of locations as { north, south, east, west }, null if there are none
+    static getBounds(locations) {
+        return locations.filter(location => location).reduce((bounds, { lat, lon }) => bounds ? {
+            north: Math.max(bounds.north, lat),
+            south: Math.min(bounds.south, lat),
+            east: Math.max(bounds.east, lon),
+            west: Math.min(bounds.west, lon)
+        } : { north: lat, south: lat, east: lon, west: lon }, null);
+    }
+}
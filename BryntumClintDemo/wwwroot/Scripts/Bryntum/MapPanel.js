@@ -1,13 +1,50 @@
 ﻿/* eslint-disable no-unused-vars */
-/* global mapboxgl */
 import Panel from './lib/Core/widget/Panel.js';
 import GlobalEvents from './lib/Core/GlobalEvents.js';
 import DomHelper from './lib/Core/helper/DomHelper.js';
+import EventHelper from './lib/Core/helper/EventHelper.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import BoardConfig from './BoardConfig.js';
+import TravelTime, { distance, formatDuration } from './TravelTime.js';
+import { parsePriority } from './AutoDispatcher.js';
+import MapboxAdapter from './MapboxAdapter.js';
+import SvgMapAdapter from './SvgMapAdapter.js';
+
+// Adapters by the name used for mapProvider
+const adapters = {
+    mapbox: MapboxAdapter,
+    svg: SvgMapAdapter
+};
+
+// Outline of unassigned appointment markers by priority rank, 1 is the most urgent
+const priorityColors = {
+    1: '#d32f2f',
+    2: '#f57c00',
+    3: '#fbc02d',
+    4: '#388e3c'
+};
+
+// Ray casting, true if the point is inside the polygon drawn through points
+function isInPolygon({ x, y }, points) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const
+            a = points[i],
+            b = points[j];
+
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
 
-// NOTE: You must use your own Mapbox access token
-mapboxgl.accessToken = 'pk.eyJ1IjoiY3Nvd2VsbC1hcnMiLCJhIjoiY2ttemJlejRqMGNiOTJvbW9sYzdiOXM0OSJ9.l3ZSngISvJZZhxOu0ZRiEA';
+    return inside;
+}
 
-// A simple class containing a MapboxGL JS map instance
+// A panel showing the appointments on a map. The map itself is behind a MapAdapter, so the vendor can be switched.
+// Appointments in the time axis show as numbered stops on their technician's route, unassigned appointments always show
+// as hollow markers which can be dragged onto the Schedule (see app.js)
 export default class MapPanel extends Panel {
     // Factoryable type name
     static get type() {
@@ -27,6 +64,16 @@ export default class MapPanel extends Panel {
             zoom: 10,
             lat: 35.15874,
             lon: -89.74324,
+            // 'mapbox', 'svg' or a MapAdapter subclass. Mapbox falls back to the offline SVG map without an access
+            // token
+            mapProvider: BoardConfig.mapProvider,
+            accessToken: BoardConfig.mapboxToken,
+            // Reassigning changes routes, pass the assignmentStore to follow that
+            assignmentStore: null,
+            // Technicians, for the trucks showing their live position
+            resourceStore: null,
+            // Estimates the drive time of routes, pass the one used by the Schedule to get the same numbers
+            travelTime: null,
 
             //// Toolbar buttons
             tbar: [
@@ -66,6 +113,61 @@ export default class MapPanel extends Panel {
                         {
                             icon: 'b-fa b-fa-minus',
                             onClick: 'up.onZoomOut'
+                        },
+                        {
+                            icon: 'b-fa b-fa-expand',
+                            tooltip: 'Zoom to fit all markers',
+                            onClick: 'up.onZoomToFit'
+                        },
+                        {
+                            type: 'widget',
+                            flex: 1
+                        },
+                        {
+                            ref: 'boxSelect',
+                            icon: 'b-fa b-fa-vector-square',
+                            tooltip: 'Select markers in a box, hold Shift to add to the selection',
+                            toggleGroup: 'selectTool',
+                            onToggle: 'up.onSelectToolToggle'
+                        },
+                        {
+                            ref: 'lassoSelect',
+                            icon: 'b-fa b-fa-draw-polygon',
+                            tooltip: 'Select markers by drawing around them, hold Shift to add to the selection',
+                            toggleGroup: 'selectTool',
+                            onToggle: 'up.onSelectToolToggle'
+                        },
+                        {
+                            ref: 'bulkActions',
+                            icon: 'b-fa b-fa-tasks',
+                            text: 'Actions',
+                            disabled: true,
+                            menu: {
+                                onItem: 'up.onBulkActionItem',
+                                items: {
+                                    assign: {
+                                        icon: 'b-fa b-fa-user',
+                                        text: 'Assign to technician'
+                                    },
+                                    shift: {
+                                        icon: 'b-fa b-fa-clock',
+                                        text: 'Shift start'
+                                    },
+                                    changePriority: {
+                                        icon: 'b-fa b-fa-exclamation',
+                                        text: 'Change priority'
+                                    },
+                                    notify: {
+                                        icon: 'b-fa b-fa-envelope',
+                                        text: 'Send notification'
+                                    },
+                                    clearSelection: {
+                                        icon: 'b-fa b-fa-times',
+                                        text: 'Clear selection',
+                                        separator: true
+                                    }
+                                }
+                            }
                         }
             //        ]
             //    }
@@ -81,6 +183,45 @@ export default class MapPanel extends Panel {
         this.map.zoomOut();
     }
 
+    onZoomToFit() {
+        this.map.fitBounds(this.eventStore.query(eventRecord => eventRecord.marker, true).map(eventRecord => eventRecord.marker.location));
+    }
+
+    // The map view as { center, zoom }, see BoardState
+    getState() {
+        return this.map.getView();
+    }
+
+    // Resolves once the map has moved
+    applyState({ center, zoom } = {}) {
+        return center && this.map.ready.then(() => this.map.setView(center, zoom));
+    }
+
+    // Selecting with a tool triggers markerselectionchange, the bulk actions trigger bulkaction with the action and the
+    // selected appointments
+    onSelectToolToggle({ source: button, pressed }) {
+        const me = this;
+
+        if (pressed) {
+            me.selectTool = button.ref === 'boxSelect' ? 'box' : 'lasso';
+        }
+        // Toggling to the other tool unpresses this one first
+        else if (me.selectTool === (button.ref === 'boxSelect' ? 'box' : 'lasso')) {
+            me.selectTool = null;
+        }
+
+        me.selectionOverlay.classList.toggle('b-hidden', !me.selectTool);
+    }
+
+    onBulkActionItem({ item }) {
+        if (item.ref === 'clearSelection') {
+            this.selectMarkers([]);
+        }
+        else {
+            this.trigger('bulkaction', { action: item.ref, appointments: this.selectedAppointments });
+        }
+    }
+
     construct() {
         const me = this;
 
@@ -88,23 +229,42 @@ export default class MapPanel extends Panel {
 
         me.element.addEventListener('click', me.onMapClick.bind(me));
 
-        const mapEl = DomHelper.createElement({
+        const mapEl = me.mapElement = DomHelper.createElement({
             parent: me.bodyElement
         });
 
-        // NOTE: You must use your own Mapbox access token
-        me.map = new mapboxgl.Map({
-            container: mapEl,
-            style: 'mapbox://styles/mapbox/streets-v11',
-            center: [me.lon, me.lat],
-            zoom: me.zoom
+        // Covers the map while a selection tool is active, so drawing does not pan the map
+        me.selectionOverlay = DomHelper.createElement({
+            parent: me.bodyElement,
+            className: 'b-map-selection-overlay b-hidden',
+            html: '<svg><path class="b-map-selection-shape"></path></svg>'
         });
 
+        EventHelper.on({
+            element: me.selectionOverlay,
+            pointerdown: 'onSelectionPointerDown',
+            pointermove: 'onSelectionPointerMove',
+            pointerup: 'onSelectionPointerUp',
+            thisObj: me
+        });
+
+        me.map = me.createMap(mapEl);
+        me.travelTime = me.travelTime || new TravelTime();
+        me.routes = new Map();
+        me.routeLines = new Map();
+        me.selection = new Set();
+        // Truck markers by technician id
+        me.trucks = new Map();
+
+        // Several changes often come in a row, redraw routes once for them
+        me.requestRouteRefresh = me.buffer('refreshRoutes', 50);
+
         // First load the map and then setup our event listeners for store CRUD and time axis changes
-        me.map.on('load', () => {
+        me.map.ready.then(() => {
             mapEl.classList.add('maploaded');
 
             me.eventStore.on('change', me.onStoreChange, me);
+            me.assignmentStore?.on('change', me.onAssignmentChange, me);
             me.timeAxis.on('reconfigure', me.onTimeAxisReconfigure, me);
 
             // If data loaded before the map, trigger onStoreChange manually
@@ -120,12 +280,50 @@ export default class MapPanel extends Panel {
         });
     }
 
-    setMapStyle() {
+    createMap(element) {
         const
-            isDark = DomHelper.themeInfo.name.toLowerCase().includes('dark'),
-            mapStyle = isDark ? 'dark-v10' : 'streets-v11';
+            me = this,
+            { mapProvider, accessToken } = me,
+            config = {
+                element,
+                accessToken,
+                center: { lat: me.lat, lon: me.lon },
+                zoom: me.zoom,
+                style: me.isDarkTheme ? 'dark' : 'light'
+            };
+
+        let Adapter = typeof mapProvider === 'string' ? adapters[mapProvider] : mapProvider;
+
+        if (!Adapter || (Adapter === MapboxAdapter && !MapboxAdapter.isAvailable(accessToken))) {
+            me.showNotice(Adapter
+                ? 'Offline map. Mapbox needs mapboxToken in the board config and the Mapbox GL script'
+                : `Offline map. There is no ${mapProvider} map provider`);
+            Adapter = SvgMapAdapter;
+        }
 
-        this.map.setStyle('mapbox://styles/mapbox/' + mapStyle);
+        return new Adapter(config);
+    }
+
+    // A line over the bottom of the map, such as why it fell back to the offline map. Closed by clicking it
+    showNotice(text) {
+        const notice = DomHelper.createElement({
+            parent: this.bodyElement,
+            className: 'b-map-notice',
+            text,
+            dataset: {
+                qtip: 'Click to close'
+            }
+        });
+
+        notice.addEventListener('click', () => notice.remove());
+    }
+
+    get isDarkTheme() {
+        return DomHelper.themeInfo?.name.toLowerCase().includes('dark');
+    }
+
+    setMapStyle() {
+        this.map.setStyle(this.isDarkTheme ? 'dark' : 'light');
     }
 
     // When data changes in the eventStore, update the map markers accordingly
@@ -135,12 +333,20 @@ export default class MapPanel extends Panel {
             case 'dataset':
                 if (event.action === 'dataset') {
                     this.removeAllMarkers();
+
+                    if (this.selection.size) {
+                        this.selectMarkers([]);
+                    }
                 }
                 event.records.forEach(eventRecord => this.addEventMarker(eventRecord));
                 break;
 
             case 'remove':
                 event.records.forEach(event => this.removeEventMarker(event));
+
+                if (event.records.some(eventRecord => this.selection.has(eventRecord))) {
+                    this.selectMarkers(this.selectedAppointments.filter(eventRecord => !event.records.includes(eventRecord)));
+                }
                 break;
 
             case 'update': {
@@ -148,6 +354,7 @@ export default class MapPanel extends Panel {
 
                 this.removeEventMarker(eventRecord);
                 this.addEventMarker(eventRecord);
+                this.pruneSelection();
 
                 break;
             }
@@ -170,9 +377,18 @@ export default class MapPanel extends Panel {
                     }
                 });
 
+                this.pruneSelection();
+
                 break;
             }
         }
+
+        this.requestRouteRefresh();
+    }
+
+    // Reassigned appointments move to another route, assigning or unassigning changes their marker
+    onAssignmentChange() {
+        this.requestRouteRefresh();
     }
 
     // Only show markers for events inside currently viewed time axis
@@ -181,28 +397,368 @@ export default class MapPanel extends Panel {
             this.removeEventMarker(eventRecord);
             this.addEventMarker(eventRecord);
         });
+
+        this.pruneSelection();
+        this.requestRouteRefresh();
     }
 
-    // Puts a marker on the map, if it has lat/lon specified + the timespan intersects the time axis
-    addEventMarker(eventRecord) {
-        if (!eventRecord.address) return;
+    // The appointments on the map grouped into routes, one per technician and day, with the stops in start order. Each
+    // route has an id, technician, stops, distance in miles and driveTime in ms
+    getRoutes() {
+        const
+            { travelTime } = this,
+            routes = new Map();
+
+        this.eventStore.forEach(eventRecord => {
+            const technician = eventRecord.resource;
+
+            if (eventRecord.marker && technician) {
+                const id = `${technician.id}-${DateHelper.format(eventRecord.startDate, 'YYYY-MM-DD')}`;
+
+                if (!routes.has(id)) {
+                    routes.set(id, { id, technician, stops: [] });
+                }
+
+                routes.get(id).stops.push(eventRecord);
+            }
+        });
+
+        routes.forEach(route => {
+            const { stops } = route;
+
+            stops.sort((a, b) => a.startDate - b.startDate);
+
+            route.distance = 0;
+            route.driveTime = 0;
+
+            for (let i = 1; i < stops.length; i++) {
+                const
+                    from = stops[i - 1].location,
+                    to = stops[i].location;
+
+                // Roads are not straight, estimate the road distance the way travel time is estimated
+                route.distance += distance(from, to) * BoardConfig.travelDetourFactor;
+                route.driveTime += travelTime.getDuration(from, to) || 0;
+            }
+        });
+
+        return routes;
+    }
+
+    // Draws a line through the stops of each route and numbers the stops
+    refreshRoutes() {
+        const
+            me = this,
+            { map, routeLines } = me;
+
+        me.syncUnassignedMarkers();
+
+        const routes = me.routes = me.getRoutes();
+
+        routeLines.forEach((line, id) => {
+            if (!routes.has(id)) {
+                line.remove();
+                routeLines.delete(id);
+            }
+        });
 
-        const { lat, lon } = eventRecord.address;
+        // Appointments without a technician are not part of a route
+        me.eventStore.forEach(eventRecord => {
+            const { marker } = eventRecord;
 
-        if (lat && lon && this.timeAxis.isTimeSpanInAxis(eventRecord)) {
+            if (marker) {
+                marker.route = null;
+                marker.element.textContent = '';
+                marker.element.style.backgroundColor = '';
+            }
+        });
+
+        routes.forEach(route => {
             const
-                color = eventRecord.eventColor || eventRecord.resource?.eventColor || '#f0f0f0',
-                marker = new mapboxgl.Marker({
-                    color
+                { id, technician, stops } = route,
+                color = technician.routeColor,
+                points = stops.map(stop => stop.location);
+
+            if (routeLines.has(id)) {
+                routeLines.get(id).setPoints(points);
+            }
+            else {
+                routeLines.set(id, map.addPolyline({ id, points, color }));
+            }
+
+            stops.forEach((stop, index) => {
+                const { marker } = stop;
+
+                marker.route = route;
+                marker.element.textContent = index + 1;
+                marker.element.style.backgroundColor = color;
+            });
+        });
+
+        me.syncRouteHighlight();
+    }
+
+    // Shows only the routes of the technician, pass null to show all routes
+    highlightTechnician(technician) {
+        const
+            me = this,
+            routes = [...me.routes.values()].filter(route => route.technician === technician);
+
+        me.highlightedTechnician = technician;
+        me.syncRouteHighlight();
+
+        me.popup?.remove();
+        me.popup = null;
+
+        if (routes.length) {
+            const stops = routes.flatMap(route => route.stops);
+
+            me.map.fitBounds(stops.map(stop => stop.location), { padding: 60 });
+
+            me.popup = me.map.showPopup({
+                location: stops[0].location,
+                offset: 25,
+                html: me.getRouteSummaryHtml(technician, routes)
+            });
+        }
+    }
+
+    getRouteSummaryHtml(technician, routes) {
+        return StringHelper.xss`<span class="event-name">${technician.name}</span>` + routes.map(route => StringHelper.xss`
+            <span class="b-route-summary">
+                <i class="b-fa b-fa-route"></i>${DateHelper.format(route.stops[0].startDate, 'ddd MMM D')}: ${route.stops.length} stop(s),
+                ${route.distance.toFixed(1)} mi, ${formatDuration(route.driveTime)} driving
+            </span>`).join('');
+    }
+
+    syncRouteHighlight() {
+        const
+            me = this,
+            { highlightedTechnician } = me;
+
+        me.routes.forEach(route => {
+            const dimmed = Boolean(highlightedTechnician) && route.technician !== highlightedTechnician;
+
+            me.routeLines.get(route.id).setStyle({
+                color: route.technician.routeColor,
+                opacity: dimmed ? 0.1 : 0.8,
+                width: dimmed || !highlightedTechnician ? 3 : 5
+            });
+
+            // Markers may be replaced before the routes are refreshed
+            route.stops.forEach(stop => stop.marker?.element.classList.toggle('b-dimmed', dimmed));
+        });
+
+        // Markers outside routes are dimmed too while a technician is highlighted
+        me.eventStore.forEach(eventRecord => {
+            const { marker } = eventRecord;
+
+            if (marker && !marker.route) {
+                marker.element.classList.toggle('b-dimmed', Boolean(highlightedTechnician));
+            }
+        });
+    }
+
+    // Markers are created differently for assigned and unassigned appointments, recreate those that changed
+    syncUnassignedMarkers() {
+        this.eventStore.forEach(eventRecord => {
+            const
+                { marker } = eventRecord,
+                unassigned = !eventRecord.assignments.length;
+
+            if (marker ? marker.unassigned !== unassigned : unassigned) {
+                this.removeEventMarker(eventRecord);
+                this.addEventMarker(eventRecord);
+            }
+        });
+    }
+
+    //region Selection
+
+    get selectedAppointments() {
+        return [...this.selection];
+    }
+
+    // Point relative to the map of a pointer event
+    getMapPoint(event) {
+        const rect = this.mapElement.getBoundingClientRect();
+
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    onSelectionPointerDown(event) {
+        if (event.button === 0) {
+            event.target.setPointerCapture?.(event.pointerId);
+
+            this.selectionPoints = [this.getMapPoint(event)];
+            this.drawSelectionShape();
+        }
+    }
+
+    onSelectionPointerMove(event) {
+        const { selectionPoints } = this;
+
+        if (selectionPoints) {
+            const point = this.getMapPoint(event);
+
+            // A box only needs its corners
+            if (this.selectTool === 'box') {
+                selectionPoints[1] = point;
+            }
+            else {
+                selectionPoints.push(point);
+            }
+
+            this.drawSelectionShape();
+        }
+    }
+
+    onSelectionPointerUp(event) {
+        const
+            me = this,
+            { selectionPoints } = me;
+
+        if (selectionPoints) {
+            me.selectionPoints = null;
+            me.drawSelectionShape();
+
+            const
+                contains = me.selectTool === 'box' ? me.getBoxTest(selectionPoints) : point => isInPolygon(point, selectionPoints),
+                selected = me.eventStore.query(eventRecord => eventRecord.marker && contains(me.map.project(eventRecord.marker.location)), true);
+
+            // Shift adds to what was selected before
+            me.selectMarkers(event.shiftKey ? [...new Set([...me.selection, ...selected])] : selected);
+        }
+    }
+
+    getBoxTest([start, end = start]) {
+        const
+            left = Math.min(start.x, end.x),
+            right = Math.max(start.x, end.x),
+            top = Math.min(start.y, end.y),
+            bottom = Math.max(start.y, end.y);
+
+        return ({ x, y }) => x >= left && x <= right && y >= top && y <= bottom;
+    }
+
+    drawSelectionShape() {
+        const
+            points = this.selectionPoints || [],
+            shape = this.selectionOverlay.querySelector('.b-map-selection-shape');
+
+        if (this.selectTool === 'box' && points.length) {
+            const [start, end = start] = points;
+
+            shape.setAttribute('d', `M${start.x},${start.y}H${end.x}V${end.y}H${start.x}Z`);
+        }
+        else {
+            shape.setAttribute('d', points.length ? `M${points.map(({ x, y }) => `${x},${y}`).join('L')}Z` : '');
+        }
+    }
+
+    // Replaces the selected markers with those of the appointments
+    selectMarkers(appointments) {
+        const
+            me = this,
+            { bulkActions } = me.tbar.widgetMap;
+
+        me.selection.forEach(eventRecord => eventRecord.marker?.element.classList.remove('b-selected'));
+        me.selection = new Set(appointments.filter(eventRecord => eventRecord.marker));
+        me.selection.forEach(eventRecord => eventRecord.marker.element.classList.add('b-selected'));
+
+        bulkActions.disabled = !me.selection.size;
+        bulkActions.text = me.selection.size ? `Actions (${me.selection.size})` : 'Actions';
+
+        me.trigger('markerselectionchange', { selection: me.selectedAppointments });
+    }
+
+    // Deselects appointments no longer on the map, such as filtered out or moved out of the time axis
+    pruneSelection() {
+        if (this.selectedAppointments.some(eventRecord => !eventRecord.marker)) {
+            this.selectMarkers(this.selectedAppointments);
+        }
+    }
+
+    //endregion
+
+    //region Technician positions
+
+    // Moves the technician's truck to its last known position, see LiveUpdates
+    showTechnicianPosition(technician) {
+        const
+            me = this,
+            { lat, lon } = technician;
+
+        if (lat == null || lon == null) {
+            return;
+        }
+
+        let truck = me.trucks.get(technician.id);
+
+        if (truck) {
+            truck.setLocation({ lat, lon });
+        }
+        else {
+            truck = me.map.addMarker({
+                location: { lat, lon },
+                element: DomHelper.createElement({
+                    className: 'b-truck-marker',
+                    style: { color: technician.routeColor },
+                    html: '<i class="b-fa b-fa-truck"></i>'
+                })
+            });
+
+            truck.element.dataset.technicianId = technician.id;
+            me.trucks.set(technician.id, truck);
+        }
+
+        truck.element.title = `${technician.name}, ${technician.currentEventType}`;
+    }
+
+    showTruckTooltip(technician) {
+        const { lat, lon, positionAt } = technician;
+
+        this.popup?.remove();
+
+        this.popup = this.map.showPopup({
+            location: { lat, lon },
+            offset: 15,
+            html: StringHelper.xss`<span class="event-name">${technician.name}</span><span class="b-route-summary"><i class="b-fa b-fa-truck"></i>${technician.currentEventType}, seen ${DateHelper.format(positionAt, 'h:mm A')}</span>`
+        });
+    }
+
+    //endregion
+
+    // Puts a marker on the map, if it has lat/lon specified + the timespan intersects the time axis. Unassigned
+    // appointments are waiting to be planned, they are shown no matter their dates
+    addEventMarker(eventRecord) {
+        const
+            { location } = eventRecord,
+            unassigned = !eventRecord.assignments.length;
+
+        if (location && (unassigned || this.timeAxis.isTimeSpanInAxis(eventRecord))) {
+            // Assigned ones are numbered and colored by refreshRoutes
+            const marker = this.map.addMarker({
+                location,
+                element: DomHelper.createElement({
+                    className: {
+                        'b-route-stop': 1,
+                        'b-unassigned-stop': unassigned
+                    },
+                    style: unassigned ? { borderColor: priorityColors[parsePriority(eventRecord.priority)] || '#757575' } : null,
+                    title: unassigned ? 'Drag onto a technician to assign' : null
                 })
-                    .setLngLat([lon, lat])
-                    .addTo(this.map);
+            });
 
-            marker.getElement().id = eventRecord.id;
+            marker.element.dataset.eventId = eventRecord.id;
+            marker.element.classList.toggle('b-selected', this.selection.has(eventRecord));
 
             eventRecord.marker = marker;
             marker.eventRecord = eventRecord;
-            marker.addTo(this.map);
+            marker.unassigned = unassigned;
         }
     }
 
@@ -224,9 +780,7 @@ export default class MapPanel extends Panel {
     scrollMarkerIntoView(eventRecord) {
         const marker = eventRecord.marker;
 
-        this.map.easeTo({
-            center: marker.getLngLat()
-        });
+        this.map.panTo(marker.location);
     }
 
     showTooltip(eventRecord, centerAtMarker) {
@@ -240,20 +794,23 @@ export default class MapPanel extends Panel {
             me.scrollMarkerIntoView(eventRecord);
         }
 
-        const popup = me.popup = marker.popup = new mapboxgl.Popup({
-            offset: 25
+        me.popup = marker.popup = me.map.showPopup({
+            location: marker.location,
+            offset: 25,
+            html: StringHelper.xss`<span class="event-name">${eventRecord.name}</span><span class="location"><i class="b-fa b-fa-map-marker-alt"></i>${eventRecord.shortAddress}<span>` +
+                (marker.route ? StringHelper.xss`<span class="b-route-summary"><i class="b-fa b-fa-route"></i>Stop ${marker.route.stops.indexOf(eventRecord) + 1} of ${marker.route.stops.length} for ${marker.route.technician.name}</span>` : '') +
+                (marker.unassigned ? StringHelper.xss`<span class="b-route-summary"><i class="b-fa b-fa-exclamation-circle"></i>Unassigned, priority ${eventRecord.priority}</span>` : '')
         });
-
-        popup.setLngLat(marker.getLngLat());
-        popup.setHTML(`<span class="event-name">${eventRecord.name}</span><span class="location"><i class="b-fa b-fa-map-marker-alt"></i>${eventRecord.shortAddress}<span>`);
-        popup.addTo(me.map);
     }
 
     onMapClick({ target }) {
-        const markerEl = target.closest('.mapboxgl-marker');
+        const markerEl = target.closest('.b-map-marker');
 
-        if (markerEl) {
-            const eventRecord = this.eventStore.getById(markerEl.id);
+        if (markerEl?.dataset.technicianId) {
+            this.showTruckTooltip(this.resourceStore.getById(markerEl.dataset.technicianId));
+        }
+        else if (markerEl) {
+            const eventRecord = this.eventStore.getById(markerEl.dataset.eventId);
 
             this.showTooltip(eventRecord);
             this.trigger('markerclick', { marker: eventRecord.marker, eventRecord });
@@ -261,7 +818,7 @@ export default class MapPanel extends Panel {
     }
 
     onResize() {
-        // This widget was resized, so refresh the Mapbox map
+        // This widget was resized, so refresh the map
         this.map?.resize();
     }
 
@@ -270,7 +827,16 @@ export default class MapPanel extends Panel {
 
         this.setMapStyle(theme);
 
-        this.tbar.widgetMap.themeGroup.items[buttonIndex].pressed = true;
+        // The theme buttons are currently not part of the toolbar
+        if (this.tbar.widgetMap.themeGroup) {
+            this.tbar.widgetMap.themeGroup.items[buttonIndex].pressed = true;
+        }
+    }
+
+    doDestroy() {
+        this.map?.destroy();
+
+        super.doDestroy();
     }
 };
 
@@ -0,0 +1,223 @@
+﻿/* global mapboxgl */
+import MapAdapter from './MapAdapter.js';
+
+const
+    styles = {
+        light: 'mapbox://styles/mapbox/streets-v11',
+        dark: 'mapbox://styles/mapbox/dark-v10'
+    },
+    toLngLat = ({ lat, lon }) => [lon, lat],
+    toLocation = ({ lat, lng }) => ({ lat, lon: lng });
+
+// MapAdapter for Mapbox GL JS, which has to be loaded as a global (vendor/mapbox-gl.js). Needs a Mapbox access token
+export default class MapboxAdapter extends MapAdapter {
+    // Mapbox needs a token and the library to be loaded, check before picking this adapter
+    static isAvailable(accessToken) {
+        return Boolean(accessToken && globalThis.mapboxgl);
+    }
+
+    constructor(config) {
+        super(config);
+
+        const me = this;
+
+        mapboxgl.accessToken = config.accessToken;
+
+        me.map = new mapboxgl.Map({
+            container: me.element,
+            style: styles[me.style] || me.style,
+            center: toLngLat(me.center),
+            zoom: me.zoom
+        });
+
+        me.loaded = new Promise(resolve => me.map.on('load', resolve));
+
+        me.map.on('click', event => me.trigger('click', {
+            location: toLocation(event.lngLat),
+            point: { x: event.point.x, y: event.point.y },
+            originalEvent: event.originalEvent
+        }));
+
+        me.map.on('move', () => me.trigger('move'));
+
+        // Changing style drops all sources and layers, draw the polylines again
+        me.map.on('style.load', () => me.polylines.forEach(polyline => me.drawPolyline(polyline)));
+    }
+
+    get ready() {
+        return this.loaded;
+    }
+
+    addMarker({ location, color, element }) {
+        const
+            marker = new mapboxgl.Marker(element ? { element } : { color })
+                .setLngLat(toLngLat(location))
+                .addTo(this.map),
+            markerElement = marker.getElement();
+
+        markerElement.classList.add('b-map-marker');
+
+        return {
+            element: markerElement,
+            location,
+            setLocation(location) {
+                this.location = location;
+                marker.setLngLat(toLngLat(location));
+            },
+            remove: () => marker.remove()
+        };
+    }
+
+    showPopup({ location, html, offset = 0 }) {
+        const popup = new mapboxgl.Popup({ offset })
+            .setLngLat(toLngLat(location))
+            .setHTML(html)
+            .addTo(this.map);
+
+        return {
+            element: popup.getElement(),
+            remove: () => popup.remove()
+        };
+    }
+
+    addPolyline({ id, points, color = '#3f51b5', width = 3, opacity = 0.8 }) {
+        const
+            me = this,
+            polyline = { id: `polyline-${id}`, points, color, width, opacity };
+
+        me.removePolyline(polyline.id);
+        me.polylines.set(polyline.id, polyline);
+        me.drawPolyline(polyline);
+
+        return {
+            setPoints(points) {
+                polyline.points = points;
+                me.map.getSource(polyline.id)?.setData(me.getGeoJson(polyline));
+            },
+            setStyle({ color = polyline.color, width = polyline.width, opacity = polyline.opacity }) {
+                Object.assign(polyline, { color, width, opacity });
+
+                if (me.map.getLayer(polyline.id)) {
+                    me.map.setPaintProperty(polyline.id, 'line-color', color);
+                    me.map.setPaintProperty(polyline.id, 'line-width', width);
+                    me.map.setPaintProperty(polyline.id, 'line-opacity', opacity);
+                }
+            },
+            remove: () => me.removePolyline(polyline.id)
+        };
+    }
+
+    getGeoJson({ points }) {
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: points.map(toLngLat)
+            }
+        };
+    }
+
+    drawPolyline(polyline) {
+        const { map } = this;
+
+        // Sources can only be added once the style is loaded, style.load draws it later otherwise
+        if (!map.isStyleLoaded()) {
+            return;
+        }
+
+        map.addSource(polyline.id, {
+            type: 'geojson',
+            data: this.getGeoJson(polyline)
+        });
+
+        map.addLayer({
+            id: polyline.id,
+            type: 'line',
+            source: polyline.id,
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': polyline.color,
+                'line-width': polyline.width,
+                'line-opacity': polyline.opacity
+            }
+        });
+    }
+
+    removePolyline(id) {
+        const { map } = this;
+
+        if (map.getLayer(id)) {
+            map.removeLayer(id);
+        }
+
+        if (map.getSource(id)) {
+            map.removeSource(id);
+        }
+
+        this.polylines.delete(id);
+    }
+
+    fitBounds(locations, { padding = 40, maxZoom = 14 } = {}) {
+        const bounds = MapAdapter.getBounds(locations);
+
+        if (bounds) {
+            this.map.fitBounds([[bounds.west, bounds.south], [bounds.east, bounds.north]], { padding, maxZoom });
+        }
+    }
+
+    panTo(location) {
+        this.map.easeTo({
+            center: toLngLat(location)
+        });
+    }
+
+    getView() {
+        return {
+            center: toLocation(this.map.getCenter()),
+            zoom: this.map.getZoom()
+        };
+    }
+
+    setView(center, zoom = this.map.getZoom()) {
+        this.map.jumpTo({
+            center: toLngLat(center),
+            zoom
+        });
+    }
+
+    zoomIn() {
+        this.map.zoomIn();
+    }
+
+    zoomOut() {
+        this.map.zoomOut();
+    }
+
+    setStyle(style) {
+        this.style = style;
+        this.map.setStyle(styles[style] || style);
+    }
+
+    project(location) {
+        const { x, y } = this.map.project(toLngLat(location));
+
+        return { x, y };
+    }
+
+    unproject({ x, y }) {
+        return toLocation(this.map.unproject([x, y]));
+    }
+
+    resize() {
+        this.map.resize();
+    }
+
+    destroy() {
+        this.map.remove();
+
+        super.destroy();
+    }
+}
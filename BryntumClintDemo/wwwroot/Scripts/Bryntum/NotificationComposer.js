@@ -0,0 +1,155 @@
+﻿import FormDialog from './FormDialog.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import './lib/Core/widget/TextField.js';
+import BoardConfig from './BoardConfig.js';
+import { channels, placeholders, defaultTemplates, getTemplateValues, fillTemplate, getContact } from './Notifications.js';
+
+// Composes a message to the customers of one or more appointments from a template, previewing it filled in for the
+// first of them. Use NotificationComposer.compose(), which resolves with { template, channel, to, subject, text } when
+// Send is clicked or with null when cancelled. to is only set for a single appointment, the others go to their own
+// contact. subject and text still hold the placeholders, see fillTemplate
+export default class NotificationComposer extends FormDialog {
+    static get type() {
+        return 'notificationcomposer';
+    }
+
+    static get $name() {
+        return 'NotificationComposer';
+    }
+
+    static get defaultConfig() {
+        return {
+            width: '40em',
+            okText: 'Send',
+            // Appointments to notify
+            appointments: [],
+            // Id of the template to start from
+            template: 'arrival',
+            items: {
+                template: {
+                    type: 'combo',
+                    label: 'Template',
+                    editable: false,
+                    required: true,
+                    valueField: 'id',
+                    displayField: 'name',
+                    onChange: 'up.onTemplateChange'
+                },
+                channel: {
+                    type: 'combo',
+                    label: 'Send as',
+                    editable: false,
+                    required: true,
+                    items: channels,
+                    valueField: 'id',
+                    displayField: 'name',
+                    value: 'sms',
+                    onChange: 'up.onChannelChange'
+                },
+                to: {
+                    type: 'textfield',
+                    label: 'To'
+                },
+                subject: {
+                    type: 'textfield',
+                    label: 'Subject',
+                    onInput: 'up.updatePreview'
+                },
+                text: {
+                    type: 'textareafield',
+                    label: 'Message',
+                    required: true,
+                    height: '8em',
+                    onInput: 'up.updatePreview'
+                },
+                placeholders: {
+                    type: 'widget',
+                    cls: 'b-notification-placeholders',
+                    html: `Use ${Object.entries(placeholders).map(([key, description]) => `<span data-qtip="${StringHelper.encodeHtml(description)}">{${key}}</span>`).join(' ')}`
+                },
+                preview: {
+                    type: 'widget',
+                    cls: 'b-notification-preview'
+                }
+            }
+        };
+    }
+
+    static compose(appointments, config) {
+        return new NotificationComposer({ ...config, appointments }).prompt();
+    }
+
+    get templates() {
+        return BoardConfig.notifications.templates || defaultTemplates;
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const
+            me = this,
+            { template } = me.widgetMap,
+            { appointments } = me;
+
+        me.title = appointments.length === 1
+            ? StringHelper.xss`Notify ${appointments[0].customerName}`
+            : `Notify ${appointments.length} Customers`;
+
+        template.items = me.templates;
+        template.value = me.templates.some(({ id }) => id === me.template) ? me.template : me.templates[0].id;
+
+        me.onTemplateChange({ value: template.value });
+        me.onChannelChange({ value: me.widgetMap.channel.value });
+    }
+
+    // Starts over from the picked template
+    onTemplateChange({ value }) {
+        const
+            template = this.templates.find(({ id }) => id === value),
+            { subject, text } = this.widgetMap;
+
+        if (template) {
+            subject.value = template.subject;
+            text.value = template.text;
+            this.updatePreview();
+        }
+    }
+
+    onChannelChange({ value }) {
+        const
+            { appointments, widgetMap } = this,
+            { to, subject } = widgetMap;
+
+        // Several customers each get the message at their own address
+        to.hidden = appointments.length !== 1;
+        to.value = appointments.length === 1 ? getContact(appointments[0], value) : '';
+        to.placeholder = value === 'email' ? 'Email address' : 'Phone number';
+
+        // Texts have no subject
+        subject.hidden = value !== 'email';
+
+        this.updatePreview();
+    }
+
+    // Fills the message in for the first appointment
+    updatePreview() {
+        const
+            { appointments, widgetMap } = this,
+            [appointment] = appointments,
+            { channel, subject, text, preview } = widgetMap;
+
+        if (!appointment) {
+            return;
+        }
+
+        const values = getTemplateValues(appointment, BoardConfig.notifications);
+
+        preview.html = `
+            <div class="b-notification-preview-title">Preview${appointments.length > 1 ? StringHelper.xss` for ${appointment.customerName}, 1 of ${appointments.length}` : ''}</div>
+            ${channel.value === 'email' ? StringHelper.xss`<div class="b-notification-preview-subject">${fillTemplate(subject.value, values)}</div>` : ''}
+            ${StringHelper.xss`<div class="b-notification-preview-text">${fillTemplate(text.value, values)}</div>`}`;
+    }
+}
+
+// Register this widget type with its Factory
+NotificationComposer.initClass();
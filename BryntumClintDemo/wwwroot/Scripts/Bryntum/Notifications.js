@@ -0,0 +1,104 @@
+﻿// Customer notifications. A template is text with {placeholders} filled from the appointment, the message is sent
+// through a channel adapter: any object with a send({ channel, to, subject, text }) method returning, or resolving
+// with, { id } once the message is accepted and throwing, or rejecting, when it is not. Kept free of any Bryntum
+// dependency like TravelTime
+
+// Ways to reach a customer, and the Appointment field holding their address for each
+export const channels = [
+    { id: 'sms', name: 'Text message', contactField: 'phone' },
+    { id: 'email', name: 'Email', contactField: 'email' }
+];
+
+// Placeholders templates can use, with a description shown in the composer
+export const placeholders = {
+    customer: 'Customer name',
+    technician: 'Name of the assigned technician',
+    address: 'Service address',
+    date: 'Day of the appointment',
+    arrivalStart: 'Start of the arrival window',
+    arrivalEnd: 'End of the arrival window',
+    serviceOrder: 'Service order number',
+    problem: 'Problem description'
+};
+
+// Templates offered by the composer. rescheduled and reassigned are picked when a notification is offered after such
+// a change, see AppointmentActions#offerNotification
+export const defaultTemplates = [
+    {
+        id: 'arrival',
+        name: 'Arrival window',
+        subject: 'Your service appointment on {date}',
+        text: 'Hi {customer}, {technician} will arrive at {address} on {date} between {arrivalStart} and {arrivalEnd}.'
+    },
+    {
+        id: 'rescheduled',
+        name: 'Rescheduled',
+        subject: 'Your service appointment was moved to {date}',
+        text: 'Hi {customer}, your service appointment at {address} was moved to {date}. {technician} will arrive between {arrivalStart} and {arrivalEnd}.'
+    },
+    {
+        id: 'reassigned',
+        name: 'New technician',
+        subject: 'A new technician for your service appointment',
+        text: 'Hi {customer}, {technician} will now take care of your service appointment at {address} on {date}, arriving between {arrivalStart} and {arrivalEnd}.'
+    },
+    {
+        id: 'onTheWay',
+        name: 'On the way',
+        subject: 'Your technician is on the way',
+        text: 'Hi {customer}, {technician} is on the way to {address}.'
+    },
+    {
+        id: 'custom',
+        name: 'Custom',
+        subject: '',
+        text: ''
+    }
+];
+
+const
+    formatDay = date => date.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' }),
+    formatTime = date => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Values of the placeholders for an appointment. The arrival window starts at the start of the appointment
+export function getTemplateValues(appointment, { arrivalWindowMinutes = 120 } = {}) {
+    const { startDate } = appointment;
+
+    return {
+        customer: appointment.customerName,
+        technician: appointment.resource?.name || 'our technician',
+        address: appointment.fullAddress,
+        date: startDate ? formatDay(startDate) : 'a day to be confirmed',
+        arrivalStart: startDate ? formatTime(startDate) : '',
+        arrivalEnd: startDate ? formatTime(new Date(startDate.getTime() + arrivalWindowMinutes * 60000)) : '',
+        serviceOrder: appointment.serviceOrderId ?? '',
+        problem: appointment.problem || ''
+    };
+}
+
+// Unknown placeholders are left as typed, so a mistake shows in the preview
+export function fillTemplate(text, values) {
+    return String(text ?? '').replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key] ?? '') : match);
+}
+
+// Where a message for the appointment goes on the channel, its phone number or email address
+export function getContact(appointment, channel) {
+    const field = channels.find(({ id }) => id === channel)?.contactField;
+
+    return field ? appointment[field] || '' : '';
+}
+
+// Local stand-in for an SMS or email service. Records the messages in sent instead of delivering them, newest last
+export class RecordingChannel {
+    constructor() {
+        this.sent = [];
+    }
+
+    send(message) {
+        const record = { id: `local-${this.sent.length + 1}`, date: new Date(), ...message };
+
+        this.sent.push(record);
+
+        return Promise.resolve({ id: record.id });
+    }
+}
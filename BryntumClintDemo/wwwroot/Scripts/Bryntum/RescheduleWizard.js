@@ -0,0 +1,141 @@
+﻿import FormDialog from './FormDialog.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import BoardConfig from './BoardConfig.js';
+import { formatDuration } from './TravelTime.js';
+
+const hours = ms => Math.round(ms / 360000) / 10;
+
+// One suggested slot, when, with whom, the drive to it and how booked the technician already is that day
+const slotTemplate = ({ technician, startDate, endDate, travel, load }, index) => StringHelper.xss`
+    <div class="b-reschedule-slot" data-index="${index}">
+        <span class="b-reschedule-slot-time">${DateHelper.format(startDate, 'ddd MMM D, h:mm A')} - ${DateHelper.format(endDate, 'h:mm A')}</span>
+        <span>${technician.name}</span>
+        <span class="b-reschedule-slot-meta">${travel ? `${formatDuration(travel)} drive` : 'No drive'}, ${hours(load)} h booked that day</span>
+    </div>`;
+
+// Finds open slots for an appointment searching forward from a date, across the technicians qualified for it, and lets
+// the dispatcher pick one. Use RescheduleWizard.pick(), which resolves with the picked { technician, startDate,
+// endDate } or with null when cancelled. The slots come from Schedule#suggestSlots, ranked by how early they are, the
+// drive to them and how busy the technician is
+export default class RescheduleWizard extends FormDialog {
+    static get type() {
+        return 'reschedulewizard';
+    }
+
+    static get $name() {
+        return 'RescheduleWizard';
+    }
+
+    static get defaultConfig() {
+        return {
+            width: '40em',
+            okText: 'Reschedule',
+            schedule: null,
+            appointment: null,
+            items: {
+                fromDate: {
+                    type: 'datetimefield',
+                    label: 'Search from',
+                    required: true
+                },
+                count: {
+                    type: 'numberfield',
+                    label: 'Slots to show',
+                    min: 1,
+                    max: 20,
+                    required: true
+                },
+                search: {
+                    type: 'button',
+                    text: 'Find slots',
+                    icon: 'b-fa-search',
+                    cls: 'b-raised',
+                    onClick: 'up.search'
+                },
+                slots: {
+                    type: 'widget',
+                    cls: 'b-reschedule-slots'
+                }
+            }
+        };
+    }
+
+    static pick(config) {
+        return new RescheduleWizard(config).prompt();
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const
+            me = this,
+            { fromDate, count, slots } = me.widgetMap;
+
+        me.title = StringHelper.xss`Reschedule ${me.appointment.customerName}`;
+
+        fromDate.value = DateHelper.ceil(DateHelper.max(new Date(), me.schedule.timeAxis.startDate), '15 minutes');
+        count.value = BoardConfig.rescheduleSlots;
+
+        slots.element.addEventListener('click', me.onSlotClick.bind(me));
+        slots.element.addEventListener('dblclick', me.onSlotDblClick.bind(me));
+
+        me.search();
+    }
+
+    search() {
+        const
+            me = this,
+            { fromDate, count, slots } = me.widgetMap;
+
+        if (!fromDate.isValid || !count.isValid) {
+            return;
+        }
+
+        me.suggestions = me.schedule.suggestSlots(me.appointment, fromDate.value, count.value);
+        me.select(null);
+
+        slots.html = me.suggestions.length
+            ? me.suggestions.map(slotTemplate).join('')
+            : `<div class="b-reschedule-empty">No open slot for a qualified technician in the ${me.schedule.dropValidator.searchDays} days searched</div>`;
+    }
+
+    select(index) {
+        const me = this;
+
+        me.selectedSlot = me.suggestions[index] || null;
+        me.bbar.widgetMap.okButton.disabled = !me.selectedSlot;
+
+        me.widgetMap.slots.element.querySelectorAll('.b-reschedule-slot').forEach(element => {
+            element.classList.toggle('b-selected', Number(element.dataset.index) === index);
+        });
+    }
+
+    onSlotClick(event) {
+        const element = event.target.closest('.b-reschedule-slot');
+
+        if (element) {
+            this.select(Number(element.dataset.index));
+        }
+    }
+
+    onSlotDblClick(event) {
+        this.onSlotClick(event);
+        this.onOkClick();
+    }
+
+    onOkClick() {
+        const { selectedSlot } = this;
+
+        if (selectedSlot) {
+            this.finish({
+                technician: selectedSlot.technician,
+                startDate: selectedSlot.startDate,
+                endDate: selectedSlot.endDate
+            });
+        }
+    }
+}
+
+// Register this widget type with its Factory
+RescheduleWizard.initClass();
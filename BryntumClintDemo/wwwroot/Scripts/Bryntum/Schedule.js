@@ -1,6 +1,101 @@
 ﻿import SchedulerPro from './lib/SchedulerPro/view/SchedulerPro.js';
 import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import DomHelper from './lib/Core/helper/DomHelper.js';
+import Toast from './lib/Core/widget/Toast.js';
+import './lib/Scheduler/widget/UndoRedo.js';
+import './lib/Core/widget/ButtonGroup.js';
+import AppointmentActions from './AppointmentActions.js';
+import DropValidator from './DropValidator.js';
+import BoardConfig from './BoardConfig.js';
+import TravelTime, { StraightLineProvider, formatDuration } from './TravelTime.js';
+import AutoDispatcher from './AutoDispatcher.js';
+import { getChains } from './VisitChains.js';
+import { RecordingChannel } from './Notifications.js';
+import AuditTrail from './AuditTrail.js';
+import AuditPanel from './AuditPanel.js';
+import './DispatchProposals.js';
+import './AppointmentDrag.js';
 
+// Ranges to pick from in the toolbar. A range shows days from the week day in weekStart if set, else from the picked
+// date. step is how many days the previous and next buttons move. Presets are narrowed as the range grows, so a week
+// still fits a screen
+const ranges = {
+    day: {
+        text: '1 day',
+        days: 1,
+        step: 1,
+        viewPreset: { base: 'hourAndDay', tickWidth: 100 }
+    },
+    threeDays: {
+        text: '3 days',
+        days: 3,
+        step: 3,
+        viewPreset: { base: 'hourAndDay', tickWidth: 40 }
+    },
+    workWeek: {
+        text: 'Work week',
+        days: 5,
+        step: 7,
+        weekStart: 1,
+        viewPreset: { base: 'dayAndWeek', tickWidth: 240 }
+    },
+    week: {
+        text: 'Week',
+        days: 7,
+        step: 7,
+        weekStart: DateHelper.weekStartDay,
+        viewPreset: { base: 'dayAndWeek', tickWidth: 180 }
+    }
+};
+
+// The day range opens scrolled to the start of the working day
+const workDayStartHour = 7;
+
+// Travel from the previous appointment, warns when the gap is shorter than the drive
+const travelTemplate = travel => travel?.duration ? StringHelper.xss`
+    <div class="b-travel-info${travel.gap < travel.duration ? ' b-travel-short' : ''}">
+        <i class="b-fa b-fa-car"></i>${formatDuration(travel.duration)} drive from ${travel.from.name}${travel.gap < travel.duration ? `, only ${formatDuration(Math.max(travel.gap, 0))} between` : ''}
+    </div>` : '';
+
+// Booked against working hours of the visible range, as a bar colored when under or over utilized. Technicians
+// without working time in the range are off
+function utilizationTemplate({ booked, available }) {
+    if (!available && !booked) {
+        return '<div class="b-utilization b-utilization-off">Off</div>';
+    }
+
+    const
+        { under, over } = BoardConfig.utilization,
+        ratio = available ? booked / available : Infinity,
+        hours = ms => Math.round(ms / 360000) / 10;
+
+    return `
+    <div class="b-utilization${ratio > over ? ' b-utilization-over' : ratio < under ? ' b-utilization-under' : ''}" data-qtip="${available ? Math.round(ratio * 100) : '-'}% of working hours booked">
+        <div class="b-utilization-bar" style="width:${Math.min(ratio, 1) * 100}%"></div>
+        <span>${hours(booked)} / ${hours(available)} h</span>
+    </div>`;
+}
+
+// Position of a linked visit in its chain
+const chainTemplate = chain => chain ? `
+    <div class="b-chain-info">
+        <i class="b-fa b-fa-link"></i>Visit ${chain.index + 1} of ${chain.visits.length}${chain.index ? StringHelper.xss`, follows ${chain.visits[0].name}` : ''}
+    </div>` : '';
+
+// Default event tooltip, extended with who froze the appointment and when, with the travel to it and with the chain of
+// linked visits it is part of. Called with the EventTooltip feature as this
+function eventTooltipTemplate({ eventRecord, startClockHtml, endClockHtml }) {
+    const { dropValidator, chains } = this.client;
+
+    return `
+    ${eventRecord.name ? StringHelper.xss`<div class="b-sch-event-title">${eventRecord.name}</div>` : ''}
+    ${startClockHtml}
+    ${endClockHtml}
+    ${eventRecord.frozen ? StringHelper.xss`<div class="b-frozen-info"><i class="b-fa b-fa-lock"></i>Frozen by ${eventRecord.frozenBy || 'unknown'}${eventRecord.frozenAt ? ` on ${DateHelper.format(eventRecord.frozenAt, 'MMM D h:mm A')}` : ''}</div>` : ''}
+    ${eventRecord.resource ? travelTemplate(dropValidator.getTravel(eventRecord, eventRecord.resource)) : ''}
+    ${chainTemplate(chains.get(eventRecord))}`;
+}
 
 export default class Schedule extends SchedulerPro {
     static get type() {
@@ -22,157 +117,216 @@ export default class Schedule extends SchedulerPro {
             eventLayout: 'none',
             features: {
                 stripe: true,
-                group: 'primaryDisciplineName',
+                group: {
+                    field: 'primaryDisciplineName',
+                    // Group headers sum the utilization of their technicians, other cells keep the default
+                    renderer({ column, groupRecords }) {
+                        const { client } = this;
+
+                        return column?.field === 'utilization' ? utilizationTemplate(client.getUtilization(groupRecords)) : null;
+                    }
+                },
                 timeRanges: {
                     showHeaderElements: true,
                     showCurrentTimeLine: true
                 },
+                // Links between the visits of a chain, created by dropping an unassigned appointment onto a scheduled one
                 dependencies: {
-                    disabled: true
+                    allowCreate: false
                 },
+                // Double click a link to change its type or lag, or to remove it
                 dependencyEdit: {
-                    disabled: true
+                    showLagField: true
+                },
+                eventTooltip: {
+                    template: eventTooltipTemplate
                 },
+                dispatchProposals: true,
+                // Double click opens the service order drawer instead, the editor is still opened with Enter and from
+                // the event menu
+                taskEdit: {
+                    triggerEvent: null
+                },
+                // Appointments can be dragged out of the schedule onto the unassigned grid, see unassignTarget and
+                // AppointmentDrag
+                eventDrag: {
+                    constrainDragToTimeline: false,
+                    // Moving existing appointments follows the same rules as drops from the unassigned grid
+                    validatorFn({ eventRecords, newResource, startDate }) {
+                        return this.client.validateAppointments(eventRecords, newResource, startDate);
+                    }
+                },
+                // Behavior of the custom items lives in AppointmentActions, see onEventMenuItem
                 eventMenu: {
                     items: {
                         openServiceOrder: {
                             text: 'Open Service Order...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         openServiceLocation: {
                             text: 'Open Service Location...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         openResource: {
                             text: 'Open Resource...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         changeEvent: {
                             text: 'Change Event...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         deleteAppointment: {
                             text: 'Delete Appointment',
                             cls: 'b-separator',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         deleteAllAppointments: {
                             text: 'Delete All Appointments',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         freezeAppointment: {
                             text: 'Freeze Appointment',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
+                        },
+                        unfreezeAppointment: {
+                            text: 'Unfreeze Appointment',
+                            weight: 500
                         },
                         rescheduleServiceOrder: {
                             text: 'Reschedule Service Order...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
+                        },
+                        editVisitLink: {
+                            text: 'Edit Visit Link...',
+                            weight: 500
+                        },
+                        unlinkVisit: {
+                            text: 'Unlink Visit',
+                            weight: 500
                         },
                         finishServiceOrder: {
                             text: 'Finish Service Order...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         serviceConfirmed: {
                             text: 'Service Confirmed',
                             cls: 'b-separator',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         sendEmailText: {
                             text: 'Send Email/Text',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         newPurchaseOrder: {
                             text: 'New Purchase Order...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         serviceOrderNotes: {
                             text: 'Service Order Notes...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         issueInventory: {
                             text: 'Issue Inventory',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         serviceOrderDetails: {
                             text: 'Service Order Details...',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         viewServiceHistory: {
                             text: 'View Service History',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
+                        },
+                        viewAuditTrail: {
+                            text: 'View Audit Trail',
+                            weight: 500
                         },
                         refresh: {
                             text: 'Refresh',
                             cls: 'b-separator',
-                            weight: 500,
-                            onItem({ eventRecord }) {
-                                //eventRecord.startDate = DateHelper.add(eventRecord.startDate, -1, 'hour');
-                            }
+                            weight: 500
                         },
                         // Hide a built in item
                         deleteEvent: false
                     }
+                },
+                // On the technician columns, see onCellMenuItem
+                cellMenu: {
+                    items: {
+                        viewAuditTrail: {
+                            text: 'View Audit Trail',
+                            icon: 'b-fa b-fa-history',
+                            weight: 500
+                        }
+                    }
                 }
             },
             eventStyle: 'plain',
             eventColor: 'indigo',
+            eventRenderer({ eventRecord, resourceRecord, renderData }) {
+                // Kept for onEventDataGenerated, which draws the drive as a lead-in
+                const
+                    travel = renderData.travel = this.dropValidator?.getTravel(eventRecord, resourceRecord),
+                    chain = this.chains.get(eventRecord),
+                    badges = [];
+
+                // Linked visits share a color per chain and show their position in it
+                if (chain) {
+                    renderData.eventColor = chain.color;
+                    badges.push(`<span class="b-chain-badge"><i class="b-fa b-fa-link"></i>${chain.index + 1}/${chain.visits.length}</span>`);
+                }
+
+                if (eventRecord.frozen) {
+                    renderData.cls.add('b-frozen');
+                    badges.push('<i class="b-fa b-fa-lock b-frozen-badge"></i>');
+                }
+
+                // Not enough time to drive from the previous appointment
+                if (travel && travel.gap < travel.duration) {
+                    renderData.cls.add('b-travel-warning');
+                    badges.push('<i class="b-fa b-fa-exclamation-triangle b-travel-badge"></i>');
+                }
+
+                return badges.join('') + StringHelper.encodeHtml(eventRecord.name);
+            },
             columns: [
                 {
                     type: 'resourceInfo',
                     text: 'Resources',
                     field: 'alias',
-                    width: 300
+                    width: 300,
+                    // Live status, see LiveUpdates
+                    showMeta: technician => StringHelper.xss`<span class="b-tech-status b-tech-status-${(technician.currentEventType || 'unknown').toLowerCase().replace(/\W+/g, '-')}"></span>${technician.currentEventType || ''}`
+                },
+                {
+                    text: 'Utilization',
+                    field: 'utilization',
+                    width: 130,
+                    sortable: false,
+                    groupable: false,
+                    renderer({ record, grid }) {
+                        return utilizationTemplate(grid.getUtilization([record]));
+                    }
                 }
             ],
             tbar: [
+                {
+                    type: 'button',
+                    icon: 'b-fa-chevron-left',
+                    tooltip: 'Previous',
+                    onClick: 'up.onPrevious'
+                },
+                {
+                    type: 'button',
+                    text: 'Today',
+                    onClick: 'up.onToday'
+                },
+                {
+                    type: 'button',
+                    icon: 'b-fa-chevron-right',
+                    tooltip: 'Next',
+                    onClick: 'up.onNext'
+                },
                 {
                     type: 'datefield',
                     ref: 'dateField',
@@ -180,35 +334,657 @@ export default class Schedule extends SchedulerPro {
                     editable: false,
                     step: 1,
                     onChange: 'up.onDateFieldChange'
+                },
+                {
+                    type: 'buttongroup',
+                    ref: 'rangeGroup',
+                    items: Object.entries(ranges).map(([range, { text }]) => ({
+                        ref: `${range}Range`,
+                        text,
+                        range,
+                        toggleGroup: 'range',
+                        onToggle: 'up.onRangeToggle'
+                    }))
+                },
+                {
+                    type: 'undoredo',
+                    items: {
+                        transactionsCombo: null
+                    }
+                },
+                // Shown while there are auto-dispatch proposals
+                {
+                    type: 'button',
+                    ref: 'acceptProposals',
+                    icon: 'b-fa-check',
+                    cls: 'b-green',
+                    hidden: true,
+                    onClick: 'up.onAcceptProposalsClick'
+                },
+                {
+                    type: 'button',
+                    ref: 'rejectProposals',
+                    icon: 'b-fa-times',
+                    text: 'Reject all',
+                    hidden: true,
+                    onClick: 'up.onRejectProposalsClick'
+                },
+                '->',
+                {
+                    type: 'button',
+                    ref: 'auditTrail',
+                    icon: 'b-fa-history',
+                    text: 'Audit trail',
+                    tooltip: 'Changes made on the board, who made them and when',
+                    onClick: 'up.onAuditTrailClick'
+                },
+                {
+                    type: 'button',
+                    ref: 'shortcuts',
+                    icon: 'b-fa-keyboard',
+                    tooltip: 'Keyboard shortcuts',
+                    onClick: 'up.onShortcutsClick'
+                },
+                {
+                    type: 'button',
+                    ref: 'resetLayout',
+                    icon: 'b-fa-undo-alt',
+                    text: 'Reset layout',
+                    tooltip: 'Restore the default columns, grouping, pane sizes and map view',
+                    onClick: 'up.onResetLayoutClick'
                 }
             ],
             viewPreset: 'hourAndDay',
             resourceImagePath: './Scripts/Bryntum/_shared/images/users/',
             scrollable: true,
-            tickSize: 100
+            tickSize: 100,
+            // Widget that unassigns appointments dropped on it, the unassigned grid
+            unassignTarget: null,
+            // ServiceOrderDrawer opened by double click, the I key (see KeyboardDispatch) and some event menu items
+            serviceOrderDrawer: null,
+            // Shown range, a key of ranges, and a date in it. Change them with showRange
+            range: 'day',
+            rangeDate: null
         };
     }
 
     construct() {
         super.construct(...arguments);
 
-        this.widgetMap.dateField.value = this.startDate;
+        const me = this;
+
+        me.actions = new AppointmentActions({
+            schedule: me,
+            channel: BoardConfig.notifications.channel || new RecordingChannel()
+        });
+
+        me.travelTime = new TravelTime({
+            provider: BoardConfig.travelProvider,
+            fallback: new StraightLineProvider({
+                speed: BoardConfig.travelSpeed,
+                detourFactor: BoardConfig.travelDetourFactor
+            }),
+            // Durations from a routing provider arrive after the first draw
+            onUpdate: () => me.refresh()
+        });
+
+        me.dropValidator = new DropValidator({
+            schedule: me,
+            travelTime: me.travelTime
+        });
+
+        me.dispatcher = new AutoDispatcher({
+            skillRules: me.dropValidator.skillRules,
+            travelTime: me.travelTime
+        });
+
+        // Who changed what, from the undo queue
+        me.auditTrail = new AuditTrail({
+            project: me.project
+        });
+
+        me.on({
+            eventMenuBeforeShow: 'onEventMenuBeforeShow',
+            eventMenuItem: 'onEventMenuItem',
+            cellMenuItem: 'onCellMenuItem',
+            beforeTaskEdit: 'onBeforeTaskEdit',
+            eventDblClick: 'onEventDblClick',
+            eventDragStart: 'onEventDragStart',
+            eventDrag: 'onEventDrag',
+            afterEventDrop: 'onAfterEventDrop',
+            eventDragAbort: 'onEventDragEnd',
+            beforeEventDropFinalize: 'onBeforeEventDropFinalize',
+            proposalsChange: 'onProposalsChange',
+            thisObj: me
+        });
+
+        me.rowManager.on({
+            renderRow: 'onRenderRow',
+            thisObj: me
+        });
+
+        me.project.on({
+            load: 'onProjectLoad',
+            thisObj: me
+        });
+
+        me.dependencyStore.on({
+            change: 'onDependencyChange',
+            thisObj: me
+        });
 
+        // Utilization follows the bookings and the visible range
+        me.requestUtilizationRefresh = me.buffer('refreshUtilization', 100);
+
+        me.eventStore.on({
+            change: 'requestUtilizationRefresh',
+            thisObj: me
+        });
+
+        me.assignmentStore.on({
+            change: 'requestUtilizationRefresh',
+            thisObj: me
+        });
+
+        me.assignmentStore.on({
+            change: 'onAssignmentChange',
+            thisObj: me
+        });
+
+        me.timeAxis.on({
+            reconfigure: 'requestUtilizationRefresh',
+            thisObj: me
+        });
+
+        me.showRange(me.range, me.rangeDate || new Date());
+    }
+
+    // Chains of linked visits, see VisitChains. Worked out again when the links change
+    get chains() {
+        return this._chains || (this._chains = getChains(this.dependencyStore.records));
     }
 
-    onDateFieldChange({ value }) {
-        this.setTimeSpan(DateHelper.add(value, 0, 'hour'), DateHelper.add(value, 24, 'hour'));
-        
-        var startDate = new Date(value.getFullYear(), value.getMonth(), value.getDate(), 23, 0, 0);
-        this.scrollToDate(startDate);
+    // Colors and badges of linked visits depend on the whole chain, redraw all of them
+    onDependencyChange() {
+        this._chains = null;
+        this.refresh();
+    }
+
+    // Start tracking changes for undo once the data is in, loading should not be undoable
+    onProjectLoad() {
+        const { stm } = this.project;
+
+        stm.enable();
+        stm.resetQueue();
+    }
+
+    // Draws the drive from the previous appointment as a hatched lead-in in front of the event bar
+    onEventDataGenerated(renderData) {
+        super.onEventDataGenerated(renderData);
+
+        const { travel } = renderData;
+
+        if (travel?.duration) {
+            renderData.wrapperChildren.push({
+                className: {
+                    'b-travel': 1,
+                    'b-travel-short': travel.gap < travel.duration
+                },
+                style: {
+                    width: this.timeAxisViewModel.getDistanceForDuration(travel.duration)
+                },
+                dataset: {
+                    taskFeature: 'travel'
+                }
+            });
+        }
+    }
+
+    onEventMenuBeforeShow({ items, eventRecord }) {
+        this.actions.processItems(items, eventRecord);
+    }
+
+    onEventMenuItem({ item, eventRecord }) {
+        this.actions.run(item.ref, eventRecord).catch(error => this.actions.showFailure(item.text.replace(/\.+$/, '').toLowerCase(), error));
+    }
+
+    onCellMenuItem({ item, record }) {
+        if (item.ref === 'viewAuditTrail' && !record.isSpecialRow) {
+            this.showAuditTrail({ technician: record });
+        }
+    }
+
+    // Lists the audit trail entries of an appointment or a technician, or all of them
+    showAuditTrail({ appointment, technician } = {}) {
+        const me = this;
+
+        if (!me.auditPanel) {
+            me.auditPanel = new AuditPanel({
+                auditTrail: me.auditTrail,
+                eventStore: me.eventStore,
+                resourceStore: me.resourceStore
+            });
+        }
+
+        me.auditPanel.showFor({ appointment, technician });
+    }
+
+    onAuditTrailClick() {
+        this.showAuditTrail();
+    }
+
+    // Opens the drawer on the appointment, scrolled to section, see ServiceOrderDrawer#showAppointment
+    showServiceOrderDrawer(appointment, section) {
+        this.serviceOrderDrawer?.showAppointment(appointment, section);
+    }
+
+    onEventDblClick({ eventRecord }) {
+        this.showServiceOrderDrawer(eventRecord);
+    }
+
+    // Adds to the assignment history of appointments when they are assigned, reassigned or unassigned. Not when the
+    // change is undone or redone, the history is restored with the rest of the appointment
+    onAssignmentChange({ action, records, record, changes }) {
+        const
+            me = this,
+            nameOf = technician => technician?.isModel ? technician.name : me.resourceStore.getById(technician)?.name;
+
+        if (me.project.stm.isRestoring) {
+            return;
+        }
+
+        switch (action) {
+            case 'add':
+                records.forEach(assignment => me.recordAssignmentChange(assignment.event, nameOf(assignment.resource), null));
+                break;
+
+            case 'remove':
+                records.forEach(assignment => me.recordAssignmentChange(assignment.event, null, nameOf(assignment.resource)));
+                break;
+
+            case 'update':
+                if (changes.resource) {
+                    me.recordAssignmentChange(record.event, nameOf(changes.resource.value), nameOf(changes.resource.oldValue));
+                }
+                break;
+        }
+    }
+
+    recordAssignmentChange(appointment, technician, from) {
+        // Assignments removed along with their appointment
+        if (!appointment?.isModel || !this.eventStore.includes(appointment) || technician === from) {
+            return;
+        }
+
+        appointment.assignmentHistory = [...(appointment.assignmentHistory || []), {
+            date: new Date(),
+            technician,
+            from,
+            by: BoardConfig.user
+        }];
+    }
+
+    // Frozen appointments can't be edited, they have to be unfrozen first
+    onBeforeTaskEdit({ taskRecord }) {
+        return !taskRecord.frozen;
+    }
+
+    // Validates moving appointments to a technician, keeping their distance in time to the first one. Follow-up visits
+    // are scheduled from the visit before them, unless that moves along they stay at their time and only change
+    // technician
+    validateAppointments(appointments, technician, startDate) {
+        const
+            offset = startDate - appointments[0].startDate,
+            moved = new Set(appointments),
+            isPinned = appointment => appointment.previousVisits.some(visit => !moved.has(visit));
+
+        for (const appointment of appointments) {
+            const
+                appointmentOffset = isPinned(appointment) ? 0 : offset,
+                result = this.dropValidator.validate({
+                    appointment,
+                    technician,
+                    startDate: new Date(appointment.startDate.getTime() + appointmentOffset),
+                    endDate: new Date(appointment.endDate.getTime() + appointmentOffset),
+                    // The others move along, their old times are free
+                    ignore: moved
+                });
+
+            // A moved appointment can't be snapped to a free slot, it goes where it is dropped or not at all
+            if (!result.valid || result.snapped) {
+                return {
+                    valid: false,
+                    message: result.message
+                };
+            }
+        }
+
+        const pinned = appointments.find(isPinned);
+
+        return pinned ? { valid: true, message: `${pinned.name} follows a linked visit and keeps its time` } : { valid: true };
+    }
+
+    onEventDragStart({ eventRecords }) {
+        // Where they were, to tell on drop whether they were rescheduled or reassigned
+        this.dragOrigins = new Map(eventRecords.map(appointment => [appointment, {
+            startDate: appointment.startDate,
+            resource: appointment.resource
+        }]));
+
+        this.highlightTechnicians(this.dropValidator.qualifiedTechnicians(eventRecords[0]));
+
+        // Dragging outside of the timeline turns off the built in scrolling, see eventDrag
+        this.enableScrollingCloseToEdges(this.timeAxisSubGrid);
+    }
+
+    onEventDrag({ newResource }) {
+        this.shadeWorkingTime(newResource);
+    }
+
+    // Offers to notify the customers of moved appointments, not of those dropped on the unassigned grid
+    async onAfterEventDrop({ eventRecords, valid }) {
+        const
+            me = this,
+            origins = me.dragOrigins;
+
+        me.onEventDragEnd();
+
+        if (!valid || !origins) {
+            return;
+        }
+
+        await me.project.commitAsync();
+
+        const
+            reassigned = eventRecords.filter(appointment => appointment.resource && appointment.resource !== origins.get(appointment)?.resource),
+            rescheduled = eventRecords.filter(appointment => appointment.resource && !reassigned.includes(appointment) && appointment.startDate - origins.get(appointment)?.startDate);
+
+        me.actions.offerNotification(reassigned, 'reassigned');
+        me.actions.offerNotification(rescheduled, 'rescheduled');
+    }
+
+    onEventDragEnd() {
+        this.dragOrigins = null;
+        this.highlightTechnicians(null);
+        this.shadeWorkingTime(null);
+        this.disableScrollingCloseToEdges(this.timeAxisSubGrid);
+    }
+
+    isOverUnassignTarget(event) {
+        return Boolean(this.unassignTarget && event?.target && this.unassignTarget.element.contains(event.target));
+    }
+
+    validateUnassign(appointments) {
+        const closed = appointments.find(appointment => appointment.isClosed);
+
+        if (closed) {
+            return {
+                valid: false,
+                message: `${closed.name} is ${closed.event.toLowerCase()} and stays assigned`
+            };
+        }
+
+        return {
+            valid: true,
+            message: `Unassign ${appointments.length} appointment(s)`
+        };
+    }
+
+    // Dropped on the unassigned grid, unassign instead of moving the appointments on the time axis
+    onBeforeEventDropFinalize({ context }) {
+        if (context.unassign) {
+            const { eventRecords } = context;
+
+            context.async = true;
+            context.finalize(false);
+
+            this.actions.unassignMany(eventRecords).catch(error => this.actions.showFailure('unassign the appointments', error));
+        }
+    }
+
+    // Summed { booked, available } working time of the technicians in the visible range, see DropValidator
+    getUtilization(technicians) {
+        const { startDate, endDate } = this.timeAxis;
+
+        return technicians.filter(technician => !technician.isSpecialRow).reduce((total, technician) => {
+            const { booked, available } = this.dropValidator.getUtilization(technician, startDate, endDate);
+
+            total.booked += booked;
+            total.available += available;
+
+            return total;
+        }, { booked: 0, available: 0 });
+    }
+
+    refreshUtilization() {
+        const column = this.columns.get('utilization');
+
+        if (column) {
+            this.refreshColumn(column);
+        }
+    }
+
+    // Shades the working time of a technician in the visible range, pass null to clear
+    shadeWorkingTime(technician) {
+        const me = this;
+
+        if (technician === me.shadedTechnician) {
+            return;
+        }
+
+        me.shadedTechnician = technician;
+        me.workingTimeElements?.forEach(element => element.remove());
+        me.workingTimeElements = [];
+
+        const row = technician && !technician.isSpecialRow && me.getRowFor(technician);
+
+        if (row) {
+            const { startDate, endDate } = me.timeAxis;
+
+            me.workingTimeElements = me.dropValidator.getWorkingIntervals(technician, startDate, endDate).map(interval => {
+                const
+                    left = me.getCoordinateFromDate(DateHelper.max(interval.startDate, startDate)),
+                    right = me.getCoordinateFromDate(DateHelper.min(interval.endDate, endDate));
+
+                return DomHelper.createElement({
+                    parent: me.foregroundCanvas,
+                    className: 'b-working-time',
+                    style: `left:${left}px;top:${row.top}px;width:${right - left}px;height:${row.height}px`
+                });
+            });
+        }
+    }
+
+    // Draws where the technician's appointments would be pushed to by an emergency insert, shifts being { booking,
+    // startDate, endDate } as returned by DropValidator#validateInsert. Pass null to clear
+    previewPush(technician, shifts) {
+        const me = this;
+
+        me.pushPreviewElements?.forEach(element => element.remove());
+        me.pushPreviewElements = [];
+
+        const row = technician && shifts?.length && me.getRowFor(technician);
+
+        if (row) {
+            const { startDate, endDate } = me.timeAxis;
+
+            me.pushPreviewElements = shifts
+                .filter(shift => shift.startDate < endDate && shift.endDate > startDate)
+                .map(({ booking, startDate: start, endDate: end }) => {
+                    const
+                        left = me.getCoordinateFromDate(DateHelper.max(start, startDate)),
+                        right = me.getCoordinateFromDate(DateHelper.min(end, endDate));
+
+                    return DomHelper.createElement({
+                        parent: me.foregroundCanvas,
+                        className: 'b-push-preview',
+                        style: `left:${left}px;top:${row.top + me.barMargin}px;width:${right - left}px;height:${row.height - me.barMargin * 2}px`,
+                        html: StringHelper.xss`<i class="b-fa b-fa-angle-double-right"></i>${DateHelper.format(start, 'h:mm A')} ${booking.name}`
+                    });
+                });
+        }
+    }
+
+    // Highlights the rows of the passed technicians and dims the others, pass null to clear
+    highlightTechnicians(technicians) {
+        const me = this;
+
+        me.highlightedTechnicians = technicians && new Set(technicians);
+
+        me.rowManager.forEach(row => me.syncRowHighlight(row, me.store.getById(row.id)));
+    }
+
+    onRenderRow({ row, record }) {
+        this.syncRowHighlight(row, record);
+    }
+
+    syncRowHighlight(row, record) {
+        const
+            technicians = this.highlightedTechnicians,
+            isTechnician = Boolean(technicians && record && !record.isSpecialRow);
+
+        row.assignCls({
+            'b-qualified': isTechnician && technicians.has(record),
+            'b-unqualified': isTechnician && !technicians.has(record)
+        });
+    }
+
+    // Proposes technicians and start times for the appointments, from now or the start of the visible day if that is
+    // later. The proposals show as ghost events to accept or reject, see DispatchProposals
+    autoDispatch(appointments) {
+        const
+            me = this,
+            { dropValidator } = me,
+            fromDate = DateHelper.ceil(DateHelper.max(new Date(), me.timeAxis.startDate), '15 minutes'),
+            toDate = DateHelper.add(fromDate, dropValidator.searchDays, 'day'),
+            { proposals, unplaced } = me.dispatcher.dispatch({
+                appointments: appointments.filter(appointment => !appointment.frozen && !appointment.isClosed && !appointment.assignments.length),
+                technicians: dropValidator.technicians.map(technician => ({
+                    technician,
+                    intervals: dropValidator.getWorkingIntervals(technician, fromDate, toDate),
+                    bookings: dropValidator.getBookings(technician)
+                })),
+                fromDate
+            });
+
+        me.features.dispatchProposals.show(proposals);
+
+        Toast.show(`Proposed ${proposals.length} appointment(s)${unplaced.length ? `, ${unplaced.length} could not be placed` : ''}`);
+
+        if (proposals.length) {
+            me.scrollToDate(proposals[0].startDate, { block: 'start', animate: true });
+        }
+
+        return { proposals, unplaced };
+    }
+
+    // Open slots to move the appointment to, across the technicians qualified for it and within searchDays of fromDate.
+    // Best first, see AutoDispatcher#suggest
+    suggestSlots(appointment, fromDate, count) {
+        const
+            { dropValidator } = this,
+            toDate = DateHelper.add(fromDate, dropValidator.searchDays, 'day');
+
+        return this.dispatcher.suggest({
+            appointment,
+            fromDate,
+            count,
+            technicians: dropValidator.technicians.map(technician => ({
+                technician,
+                intervals: dropValidator.getWorkingIntervals(technician, fromDate, toDate),
+                bookings: dropValidator.getBookings(technician, appointment)
+            }))
+        });
+    }
+
+    onProposalsChange({ proposals }) {
+        const { acceptProposals, rejectProposals } = this.widgetMap;
+
+        acceptProposals.text = `Accept ${proposals.length} proposal(s)`;
+        acceptProposals.hidden = rejectProposals.hidden = !proposals.length;
+    }
+
+    onAcceptProposalsClick() {
+        this.features.dispatchProposals.acceptAll().catch(error => this.actions.showFailure('accept the proposals', error));
+    }
+
+    onRejectProposalsClick() {
+        this.features.dispatchProposals.rejectAll();
+    }
+
+    // Shows the range, one of the keys of ranges, around date. Fires rangeChange, app.js keeps the range in the url
+    showRange(range, date = this.rangeDate) {
+        const
+            me = this,
+            // range may come from the url, only take the keys of ranges itself
+            config = Object.prototype.hasOwnProperty.call(ranges, range) ? ranges[range] : ranges[range = 'day'],
+            day = DateHelper.clearTime(date),
+            startDate = config.weekStart == null ? day : DateHelper.add(day, -((day.getDay() - config.weekStart + 7) % 7), 'day'),
+            endDate = DateHelper.add(startDate, config.days, 'day'),
+            { dateField } = me.widgetMap;
+
+        // Presets are passed as config objects, only switch when the range changes so they are not created again
+        if (range !== me.presetRange) {
+            me.presetRange = range;
+            me.viewPreset = config.viewPreset;
+        }
+
+        me.range = range;
+        me.rangeDate = day;
+
+        me.setTimeSpan(startDate, endDate);
+
+        if (range === 'day') {
+            const visibleDate = { date: DateHelper.add(startDate, workDayStartHour, 'hour'), block: 'start' };
+
+            // Before the first paint the scheduler scrolls to visibleDate itself
+            if (me.isPainted) {
+                me.scrollToDate(visibleDate.date, visibleDate);
+            }
+            else {
+                me.visibleDate = visibleDate;
+            }
+        }
+
+        // Reflect the range in the toolbar, setting these fires no change handled below
+        dateField.value = day;
+        me.widgetMap[`${range}Range`].pressed = true;
+
+        me.trigger('rangeChange', { range, date: day });
+    }
+
+    onRangeToggle({ source, pressed }) {
+        if (pressed && source.range !== this.range) {
+            this.showRange(source.range);
+        }
+    }
+
+    onDateFieldChange({ value, userAction }) {
+        if (userAction && value) {
+            this.showRange(this.range, value);
+        }
     }
 
     onPrevious() {
-        this.shiftPrevious();
+        this.showRange(this.range, DateHelper.add(this.rangeDate, -ranges[this.range].step, 'day'));
     }
 
     onNext() {
-        this.shiftNext();
+        this.showRange(this.range, DateHelper.add(this.rangeDate, ranges[this.range].step, 'day'));
+    }
+
+    onToday() {
+        this.showRange(this.range, new Date());
+    }
+
+    // The layout is saved outside of the Schedule, app.js resets it, see BoardState
+    onResetLayoutClick() {
+        this.trigger('resetLayout');
+    }
+
+    // Keys work on the unassigned grid as well, app.js shows them, see KeyboardDispatch
+    onShortcutsClick() {
+        this.trigger('showShortcuts');
     }
 }
 
@@ -0,0 +1,352 @@
+﻿import Panel from './lib/Core/widget/Panel.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import './lib/Core/widget/TextAreaField.js';
+import Appointment from './Appointment.js';
+import { channels } from './Notifications.js';
+
+// Labels of fields whose name does not read well, the others are labelled from their name
+const labels = {
+    name: 'Customer',
+    serviceOrderId: 'Service order',
+    event: 'Status',
+    technician: 'Imported technician',
+    purchaseOrders: 'Purchase orders'
+};
+
+// Shown in their own section instead of in the details
+const ownSections = ['address', 'notes', 'assignmentHistory', 'messages'];
+
+const
+    formatDate = date => date ? DateHelper.format(new Date(date), 'MMM D YYYY h:mm A') : '',
+    labelOf = name => labels[name] || StringHelper.capitalize(name.replace(/([A-Z])/g, ' $1').toLowerCase());
+
+function formatValue(value) {
+    if (value == null || value === '') {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return formatDate(value);
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+
+    if (Array.isArray(value)) {
+        return value.length ? `${value.length} item(s)` : '';
+    }
+
+    return String(value);
+}
+
+const
+    sectionTemplate = (title, body) => StringHelper.xss`<h3>${title}</h3>` + body,
+    fieldsTemplate = rows => `<dl class="b-drawer-fields">${rows.map(([label, value]) => StringHelper.xss`<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`,
+    // A clickable appointment, shows it in the drawer and on the schedule
+    appointmentTemplate = (appointment, text, current) => StringHelper.xss`
+        <li class="b-drawer-appointment${current ? ' b-current' : ''}" data-event-id="${appointment.id}">
+            <span>${text}</span>
+            <span class="b-drawer-meta">${formatDate(appointment.startDate) || 'Unscheduled'}${appointment.resource ? `, ${appointment.resource.name}` : ''}</span>
+        </li>`,
+    listTemplate = (items, emptyText) => items.length ? `<ul class="b-drawer-list">${items.join('')}</ul>` : StringHelper.xss`<div class="b-drawer-empty">${emptyText}</div>`;
+
+// A side panel docked next to the map, showing everything about one appointment: all its fields, its location, notes
+// which can be edited, the chain of linked visits it is part of, earlier appointments at the same address and who
+// assigned it to whom. Open it with showAppointment, see the Schedule event menu, double click and the I key
+export default class ServiceOrderDrawer extends Panel {
+    static get type() {
+        return 'serviceorderdrawer';
+    }
+
+    static get $name() {
+        return 'ServiceOrderDrawer';
+    }
+
+    static get defaultConfig() {
+        return {
+            schedule: null,
+            cls: 'b-service-order-drawer',
+            width: '28em',
+            hidden: true,
+            scrollable: {
+                overflowY: true
+            },
+            title: 'Service Order',
+            tools: {
+                close: {
+                    cls: 'b-fa b-fa-times',
+                    tooltip: 'Close',
+                    handler: 'hide'
+                }
+            },
+            items: {
+                details: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                location: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                notes: {
+                    type: 'textareafield',
+                    cls: 'b-drawer-notes',
+                    label: 'Notes',
+                    labelPosition: 'above',
+                    height: '8em'
+                },
+                saveNotes: {
+                    type: 'button',
+                    text: 'Save notes',
+                    cls: 'b-raised',
+                    onClick: 'up.onSaveNotesClick'
+                },
+                links: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                history: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                assignments: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                messages: {
+                    type: 'widget',
+                    cls: 'b-drawer-section'
+                },
+                notify: {
+                    type: 'button',
+                    text: 'Notify customer...',
+                    icon: 'b-fa-paper-plane',
+                    cls: 'b-raised',
+                    onClick: 'up.onNotifyClick'
+                }
+            },
+            // The appointment shown
+            appointment: null
+        };
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const
+            me = this,
+            { schedule } = me;
+
+        // Anything on the board may change what is shown, the record itself, its links or its assignments
+        me.requestRefresh = me.buffer('refreshContent', 50);
+
+        [schedule.eventStore, schedule.assignmentStore, schedule.dependencyStore].forEach(store => store.on({
+            change: 'onStoreChange',
+            thisObj: me
+        }));
+
+        me.element.addEventListener('click', me.onAppointmentClick.bind(me));
+    }
+
+    get eventStore() {
+        return this.schedule.eventStore;
+    }
+
+    // Shows the appointment, scrolled to section when passed. Sections are details, location, notes, links, history,
+    // assignments and messages
+    showAppointment(appointment, section) {
+        const me = this;
+
+        me.appointment = appointment;
+        me.widgetMap.notes.value = appointment.notes;
+        me.refreshContent();
+        me.show();
+
+        if (section) {
+            me.widgetMap[section]?.element.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    onStoreChange({ source, action, records, record, changes }) {
+        const
+            me = this,
+            { appointment } = me;
+
+        if (!appointment || me.hidden) {
+            return;
+        }
+
+        if (source === me.eventStore && (action === 'removeall' || action === 'dataset' || (action === 'remove' && records.includes(appointment)))) {
+            me.appointment = null;
+            me.hide();
+            return;
+        }
+
+        // Keep notes being typed, unless the notes were changed elsewhere such as by undo
+        if (action === 'update' && record === appointment && changes && 'notes' in changes) {
+            me.widgetMap.notes.value = appointment.notes;
+        }
+
+        me.requestRefresh();
+    }
+
+    refreshContent() {
+        const
+            me = this,
+            { appointment, widgetMap } = me;
+
+        if (!appointment || me.isDestroyed) {
+            return;
+        }
+
+        me.title = StringHelper.xss`Service Order ${appointment.serviceOrderId ?? ''}`;
+
+        widgetMap.details.html = me.detailsTemplate(appointment);
+        widgetMap.location.html = me.locationTemplate(appointment);
+        widgetMap.links.html = me.linksTemplate(appointment);
+        widgetMap.history.html = me.historyTemplate(appointment);
+        widgetMap.assignments.html = me.assignmentsTemplate(appointment);
+        widgetMap.messages.html = me.messagesTemplate(appointment);
+        widgetMap.saveNotes.disabled = appointment.isClosed;
+    }
+
+    // The scheduling fields of the event first, then every persistable field of the Appointment
+    detailsTemplate(appointment) {
+        const rows = [
+            [labelOf('name'), appointment.name],
+            ['Start', formatDate(appointment.startDate)],
+            ['End', formatDate(appointment.endDate)],
+            ['Duration', appointment.duration != null ? `${appointment.duration} ${appointment.durationUnit}` : ''],
+            ['Assigned to', appointment.resource?.name || 'Unassigned']
+        ];
+
+        Appointment.fields
+            .filter(({ name, persist }) => persist !== false && !ownSections.includes(name))
+            .forEach(({ name }) => rows.push([labelOf(name), formatValue(appointment[name])]));
+
+        return sectionTemplate('Details', fieldsTemplate(rows));
+    }
+
+    locationTemplate(appointment) {
+        const { location } = appointment;
+
+        return sectionTemplate('Location', fieldsTemplate([
+            ['Name', appointment.address?.display_name || ''],
+            ['Address', appointment.fullAddress],
+            ['Coordinates', location ? `${location.lat}, ${location.lon}${location.approximate ? ' (approximate)' : ''}` : 'Not located']
+        ]));
+    }
+
+    linksTemplate(appointment) {
+        const chain = this.schedule.chains.get(appointment);
+
+        return sectionTemplate('Linked visits', listTemplate(
+            chain ? chain.visits.map((visit, index) => appointmentTemplate(visit, `${index + 1}. ${visit.name}`, visit === appointment)) : [],
+            'Not linked to other visits'
+        ));
+    }
+
+    // Appointments at the same address which started before this one, newest first
+    getPreviousAppointments(appointment) {
+        return this.eventStore.query(record =>
+            record !== appointment &&
+            record.street === appointment.street &&
+            record.zip === appointment.zip &&
+            record.startDate &&
+            (!appointment.startDate || record.startDate < appointment.startDate)
+        ).sort((a, b) => b.startDate - a.startDate);
+    }
+
+    historyTemplate(appointment) {
+        const previous = appointment.street ? this.getPreviousAppointments(appointment) : [];
+
+        return sectionTemplate('History at this address', listTemplate(
+            previous.map(record => appointmentTemplate(record, [record.problem || record.name, record.event].filter(part => part).join(', '))),
+            'No previous appointments'
+        ));
+    }
+
+    assignmentsTemplate(appointment) {
+        const entries = [...(appointment.assignmentHistory || [])].reverse().map(({ date, technician, from, by }) => {
+            const text = technician ? (from ? `Reassigned from ${from} to ${technician}` : `Assigned to ${technician}`) : `Unassigned from ${from}`;
+
+            return StringHelper.xss`
+                <li>
+                    <span>${text}</span>
+                    <span class="b-drawer-meta">${formatDate(date)}${by ? ` by ${by}` : ''}</span>
+                </li>`;
+        });
+
+        return sectionTemplate('Assignment history', listTemplate(entries, 'Not assigned yet'));
+    }
+
+    // Notifications sent to the customer, newest first. Messages logged before channels were tracked only have text
+    messagesTemplate(appointment) {
+        const entries = [...(appointment.messages || [])].reverse().map(({ date, channel, to, subject, text, status, error, by }) => {
+            const channelName = channels.find(({ id }) => id === channel)?.name || 'Message';
+
+            return `
+                <li class="b-drawer-message${status === 'failed' ? ' b-failed' : ''}">
+                    ${StringHelper.xss`<span>${channelName}${to ? ` to ${to}` : ''}${status === 'failed' ? `, not sent: ${error}` : ''}</span>`}
+                    ${subject ? StringHelper.xss`<strong>${subject}</strong>` : ''}
+                    ${StringHelper.xss`<span class="b-drawer-message-text">${text}</span>`}
+                    ${StringHelper.xss`<span class="b-drawer-meta">${formatDate(date)}${by ? ` by ${by}` : ''}</span>`}
+                </li>`;
+        });
+
+        return sectionTemplate('Messages', listTemplate(entries, 'No messages sent'));
+    }
+
+    onNotifyClick() {
+        const { actions } = this.schedule;
+
+        if (this.appointment) {
+            actions.notify([this.appointment]).catch(error => actions.showFailure('send the message', error));
+        }
+    }
+
+    onSaveNotesClick() {
+        const
+            { appointment } = this,
+            { actions } = this.schedule,
+            notes = this.widgetMap.notes.value || '';
+
+        if (appointment && notes !== appointment.notes) {
+            actions.transact('Edit notes', () => {
+                appointment.notes = notes;
+            }).catch(error => actions.showFailure('save the notes', error));
+        }
+    }
+
+    // Clicking an appointment in the lists shows it instead, and brings it into view on the schedule
+    async onAppointmentClick(event) {
+        const
+            element = event.target.closest('[data-event-id]'),
+            appointment = element && this.eventStore.getById(element.dataset.eventId);
+
+        if (appointment && appointment !== this.appointment) {
+            this.showAppointment(appointment);
+
+            if (appointment.resource) {
+                await this.schedule.scrollEventIntoView(appointment, { animate: true, highlight: true });
+                this.schedule.selectedEvents = [appointment];
+            }
+        }
+    }
+
+    doDestroy() {
+        const { schedule } = this;
+
+        [schedule.eventStore, schedule.assignmentStore, schedule.dependencyStore].forEach(store => store.un({
+            change: 'onStoreChange',
+            thisObj: this
+        }));
+
+        super.doDestroy();
+    }
+}
+
+// Register this widget type with its Factory
+ServiceOrderDrawer.initClass();
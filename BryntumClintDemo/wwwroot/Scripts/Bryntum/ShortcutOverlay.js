@@ -0,0 +1,143 @@
+﻿import Popup from './lib/Core/widget/Popup.js';
+import EventHelper from './lib/Core/helper/EventHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import { getBinding, displayBinding } from './KeyBindings.js';
+
+const shortcutTemplate = ({ command, text, binding, recording }) => StringHelper.xss`
+    <div class="b-shortcut" data-command="${command}">
+        <span class="b-shortcut-text">${text}</span>
+        <button class="b-shortcut-key${recording ? ' b-recording' : ''}${binding ? '' : ' b-unbound'}" data-qtip="Click to change">${recording ? 'Press a key...' : displayBinding(binding)}</button>
+    </div>`;
+
+// Lists the keyboard commands of a KeyboardDispatch with their keys. Clicking a key records a new one for the command,
+// Escape cancels that and Backspace leaves the command without a key. Opened with the ? key and from the Schedule toolbar
+export default class ShortcutOverlay extends Popup {
+    static get type() {
+        return 'shortcutoverlay';
+    }
+
+    static get $name() {
+        return 'ShortcutOverlay';
+    }
+
+    static get defaultConfig() {
+        return {
+            keyboardDispatch: null,
+            title: 'Keyboard shortcuts',
+            cls: 'b-shortcut-overlay',
+            autoShow: false,
+            modal: true,
+            closable: true,
+            closeAction: 'hide',
+            width: '36em',
+            scrollable: {
+                overflowY: true
+            },
+            items: {
+                shortcuts: {
+                    type: 'widget',
+                    cls: 'b-shortcuts'
+                }
+            },
+            bbar: {
+                items: {
+                    reset: {
+                        text: 'Reset to defaults',
+                        icon: 'b-fa-undo-alt',
+                        onClick: 'up.onResetClick'
+                    },
+                    spacer: {
+                        type: 'widget',
+                        flex: 1
+                    },
+                    close: {
+                        text: 'Close',
+                        cls: 'b-raised b-blue',
+                        onClick: 'up.close'
+                    }
+                }
+            }
+        };
+    }
+
+    construct() {
+        super.construct(...arguments);
+
+        const me = this;
+
+        EventHelper.on({
+            element: me.widgetMap.shortcuts.element,
+            delegate: '.b-shortcut-key',
+            click: 'onKeyClick',
+            thisObj: me
+        });
+
+        // Capture, so the key being recorded does not close the popup or reach the buttons
+        EventHelper.on({
+            element: me.element,
+            keydown: 'onRecordKeyDown',
+            capture: true,
+            thisObj: me
+        });
+
+        me.refreshShortcuts();
+    }
+
+    refreshShortcuts() {
+        const
+            { keyboardDispatch, recordingCommand } = this,
+            { bindings } = keyboardDispatch;
+
+        this.widgetMap.shortcuts.html = Object.entries(keyboardDispatch.commands).map(([command, { text }]) => shortcutTemplate({
+            command,
+            text,
+            binding: bindings[command],
+            recording: command === recordingCommand
+        })).join('');
+    }
+
+    onKeyClick(event) {
+        this.recordingCommand = event.target.closest('.b-shortcut').dataset.command;
+        this.refreshShortcuts();
+    }
+
+    async onRecordKeyDown(event) {
+        const
+            me = this,
+            command = me.recordingCommand,
+            binding = getBinding(event);
+
+        if (!command || !binding) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        me.recordingCommand = null;
+
+        if (binding === 'Escape') {
+            me.refreshShortcuts();
+        }
+        else {
+            await me.keyboardDispatch.bind(command, binding === 'Backspace' ? null : binding);
+        }
+    }
+
+    async onResetClick() {
+        this.recordingCommand = null;
+
+        await this.keyboardDispatch.resetBindings();
+    }
+
+    show() {
+        // Drop a recording left unfinished when last closed
+        this.recordingCommand = null;
+        this.refreshShortcuts();
+
+        return super.show(...arguments);
+    }
+}
+
+// Register this widget type with its Factory
+ShortcutOverlay.initClass();
@@ -0,0 +1,109 @@
+﻿// Decides which technicians are qualified for an appointment. Kept free of any Bryntum dependency so it can be used
+// by the board as well as by headless code
+
+// Discipline names by primaryDisciplineId, used when explaining why a technician does not qualify
+export const disciplines = {
+    47: 'HVAC MAINTENANCE TECH',
+    48: 'PLUMBER',
+    49: 'DRAIN CLEANER',
+    50: 'ELECTRICAL TECH',
+    53: 'PLUMBING SALESPERSON',
+    55: 'REINSULATION CREW',
+    60: 'DUCT CLEANING TECH',
+    62: 'PLUMBING INSTALLER',
+    571: 'AHVAC OPPORTUNITY TECH',
+    578: 'AHVAC SERVICE TECH',
+    760: 'HVAC SERVICE TECH'
+};
+
+// Disciplines qualified for a serviceLine and/or serviceType. When several rules match an appointment the most
+// specific one (matching both) wins. Appointments no rule matches can go to any technician
+export const defaultRules = [
+    { serviceLine: 'HVAC', disciplines: [47, 571, 578, 760] },
+    { serviceLine: 'HVAC', serviceType: 'MNT', disciplines: [47, 578, 760] },
+    { serviceLine: 'PLB', disciplines: [48, 49, 62] },
+    { serviceLine: 'PLB', serviceType: 'SL', disciplines: [53] },
+    { serviceLine: 'ELE', disciplines: [50] },
+    { serviceLine: 'EAS', disciplines: [55] },
+    { serviceLine: 'AOR', disciplines: [571, 53] },
+    { serviceType: 'DUC', disciplines: [60] }
+];
+
+// Codes on an appointment which require an extra skill, on top of the discipline. Skills are matched against a
+// technician's secondarySkills, for example { GAS: 'GAS LICENSE' }
+export const defaultCodeRules = {};
+
+const
+    specificity = rule => (rule.serviceLine ? 1 : 0) + (rule.serviceType ? 1 : 0),
+    splitCodes = codes => (Array.isArray(codes) ? codes : String(codes || '').split(/[\s,;]+/)).filter(code => code);
+
+export default class SkillRules {
+    constructor({ rules = defaultRules, codeRules = defaultCodeRules } = {}) {
+        this.rules = rules;
+        this.codeRules = codeRules;
+    }
+
+    // The most specific rule matching the appointment, or null if it has no discipline requirement
+    getRule(appointment) {
+        const { serviceLine, serviceType } = appointment;
+
+        return this.rules
+            .filter(rule => (!rule.serviceLine || rule.serviceLine === serviceLine) && (!rule.serviceType || rule.serviceType === serviceType))
+            .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+    }
+
+    // Skills required by the codes of the appointment
+    getRequiredSkills(appointment) {
+        return splitCodes(appointment.codes)
+            .map(code => this.codeRules[code.toUpperCase()])
+            .filter(skill => skill);
+    }
+
+    // All disciplines and skills a technician has, by id as well as by name
+    getSkills(technician) {
+        const skills = new Set([
+            technician.primaryDisciplineId,
+            technician.primaryDisciplineName,
+            ...(technician.secondarySkills || [])
+        ]);
+
+        skills.delete(undefined);
+        skills.delete(null);
+
+        return skills;
+    }
+
+    // Returns { valid : true } or { valid : false, message } explaining why the technician is not qualified
+    check(appointment, technician) {
+        const
+            skills = this.getSkills(technician),
+            rule = this.getRule(appointment),
+            missingSkills = this.getRequiredSkills(appointment).filter(skill => !skills.has(skill));
+
+        if (rule && !rule.disciplines.some(discipline => skills.has(discipline) || skills.has(disciplines[discipline]))) {
+            const required = [appointment.serviceLine, appointment.serviceType].filter(part => part).join(' ');
+
+            return {
+                valid: false,
+                message: `${required} needs ${rule.disciplines.map(discipline => disciplines[discipline] || discipline).join(' or ')}`
+            };
+        }
+
+        if (missingSkills.length) {
+            return {
+                valid: false,
+                message: `Requires ${missingSkills.join(', ')}`
+            };
+        }
+
+        return { valid: true };
+    }
+
+    isQualified(appointment, technician) {
+        return this.check(appointment, technician).valid;
+    }
+
+    qualifiedTechnicians(appointment, technicians) {
+        return technicians.filter(technician => this.isQualified(appointment, technician));
+    }
+}
\ No newline at end of file
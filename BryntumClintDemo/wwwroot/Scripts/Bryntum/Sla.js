@@ -0,0 +1,80 @@
+﻿// Service level of appointments waiting to be assigned, from their due date. An appointment is on track until it gets
+// within the at risk window before its due date, and breached once that has passed. Free of Bryntum dependencies like
+// AutoDispatcher, which parses the due dates and priorities
+import { parseDue, parsePriority } from './AutoDispatcher.js';
+
+// Escalation tiers, most urgent first so sorting and grouping by tier puts the urgent ones on top
+export const tiers = {
+    breached: 0,
+    atRisk: 1,
+    onTrack: 2
+};
+
+export const tierNames = ['Breached', 'At risk', 'On track'];
+
+// Used for CSS classes, b-sla-breached etc
+export const tierCls = ['breached', 'at-risk', 'on-track'];
+
+const msPerMinute = 60000;
+
+// "2 d 3 h overdue", "3 h 20 min left" or "12 min left"
+export function formatRemaining(ms) {
+    const
+        minutes = Math.floor(Math.abs(ms) / msPerMinute),
+        days = Math.floor(minutes / 1440),
+        hours = Math.floor(minutes % 1440 / 60),
+        parts = days ? [`${days} d`, hours && `${hours} h`] : [hours && `${hours} h`, `${minutes % 60} min`];
+
+    return `${parts.filter(part => part).join(' ')} ${ms < 0 ? 'overdue' : 'left'}`;
+}
+
+export default class SlaPolicy {
+    // atRiskMinutes  How long before the due date an appointment is at risk
+    // rules          Overrides as [{ serviceLine, priority, atRiskMinutes }], matching the service line, the priority
+    //                rank or both. The rule matching the service line wins over one matching the priority, one
+    //                matching both wins over either
+    constructor({ atRiskMinutes = 240, rules = [] } = {}) {
+        this.atRiskMinutes = atRiskMinutes;
+        this.rules = rules;
+    }
+
+    getAtRiskMinutes(appointment) {
+        let best = null,
+            bestScore = -1;
+
+        for (const rule of this.rules) {
+            const
+                hasServiceLine = rule.serviceLine != null,
+                hasPriority = rule.priority != null,
+                score = hasServiceLine * 2 + hasPriority;
+
+            if (
+                score > bestScore &&
+                (!hasServiceLine || rule.serviceLine === appointment.serviceLine) &&
+                (!hasPriority || parsePriority(rule.priority) === parsePriority(appointment.priority))
+            ) {
+                best = rule;
+                bestScore = score;
+            }
+        }
+
+        return best ? best.atRiskMinutes : this.atRiskMinutes;
+    }
+
+    // { due, remaining, tier } where remaining is in ms and negative when overdue. Null without a due date
+    evaluate(appointment, now = new Date()) {
+        const due = parseDue(appointment.due);
+
+        if (!due) {
+            return null;
+        }
+
+        const remaining = due - now;
+
+        return {
+            due,
+            remaining,
+            tier: remaining <= 0 ? tiers.breached : remaining <= this.getAtRiskMinutes(appointment) * msPerMinute ? tiers.atRisk : tiers.onTrack
+        };
+    }
+}
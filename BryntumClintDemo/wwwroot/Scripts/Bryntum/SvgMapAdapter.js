@@ -0,0 +1,418 @@
+﻿import MapAdapter from './MapAdapter.js';
+
+// A MapAdapter without any dependencies or network access, for offline use and tests. There are no map tiles, it draws
+// a coordinate grid with markers, popups and polylines on top using Web Mercator, like tile based maps do. Drag to pan,
+// use the mouse wheel to zoom
+
+const
+    svgNS = 'http://www.w3.org/2000/svg',
+    tileSize = 256,
+    minZoom = 1,
+    maxZoom = 18,
+    // Pointer movement allowed before a press counts as a pan instead of a click
+    clickTolerance = 4,
+    niceSteps = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 45];
+
+function createElement(tag, className, parent, namespace) {
+    const element = namespace ? document.createElementNS(namespace, tag) : document.createElement(tag);
+
+    element.setAttribute('class', className);
+    parent?.appendChild(element);
+
+    return element;
+}
+
+export default class SvgMapAdapter extends MapAdapter {
+    constructor(config) {
+        super(config);
+
+        const me = this;
+
+        me.root = createElement('div', 'b-svg-map', me.element);
+        me.svg = createElement('svg', 'b-svg-map-canvas', me.root, svgNS);
+        me.gridGroup = createElement('g', 'b-svg-map-grid', me.svg, svgNS);
+        me.lineGroup = createElement('g', 'b-svg-map-lines', me.svg, svgNS);
+        me.markerContainer = createElement('div', 'b-svg-map-markers', me.root);
+        me.popupContainer = createElement('div', 'b-svg-map-popups', me.root);
+        me.markers = new Set();
+        me.popups = new Set();
+
+        me.onPointerDown = me.onPointerDown.bind(me);
+        me.onPointerMove = me.onPointerMove.bind(me);
+        me.onPointerUp = me.onPointerUp.bind(me);
+        me.onWheel = me.onWheel.bind(me);
+
+        me.root.addEventListener('pointerdown', me.onPointerDown);
+        me.root.addEventListener('wheel', me.onWheel, { passive: false });
+
+        me.setStyle(me.style);
+        me.resize();
+    }
+
+    //region Projection
+
+    get worldSize() {
+        return tileSize * 2 ** this.zoom;
+    }
+
+    // Web Mercator position of a location in px, at the current zoom
+    toWorld({ lat, lon }, worldSize = this.worldSize) {
+        const sin = Math.sin(Math.max(Math.min(lat, 85), -85) * Math.PI / 180);
+
+        return {
+            x: (lon + 180) / 360 * worldSize,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize
+        };
+    }
+
+    fromWorld({ x, y }, worldSize = this.worldSize) {
+        return {
+            lat: Math.atan(Math.sinh(Math.PI - 2 * Math.PI * y / worldSize)) * 180 / Math.PI,
+            lon: x / worldSize * 360 - 180
+        };
+    }
+
+    project(location) {
+        const
+            point = this.toWorld(location),
+            center = this.toWorld(this.center);
+
+        return {
+            x: point.x - center.x + this.width / 2,
+            y: point.y - center.y + this.height / 2
+        };
+    }
+
+    unproject({ x, y }) {
+        const center = this.toWorld(this.center);
+
+        return this.fromWorld({
+            x: x - this.width / 2 + center.x,
+            y: y - this.height / 2 + center.y
+        });
+    }
+
+    //endregion
+
+    //region Drawing
+
+    // Positions everything for the current center and zoom
+    render() {
+        const me = this;
+
+        me.renderGrid();
+
+        me.polylines.forEach(polyline => me.renderPolyline(polyline));
+        me.markers.forEach(marker => me.position(marker.element, marker.location));
+        me.popups.forEach(popup => me.position(popup.element, popup.location, popup.offset));
+
+        me.trigger('move');
+    }
+
+    // Lines of latitude and longitude roughly every 100 px
+    renderGrid() {
+        const
+            me = this,
+            { width, height } = me,
+            degreesPerPx = 360 / me.worldSize,
+            step = niceSteps.find(step => step / degreesPerPx >= 100) || 45,
+            topLeft = me.unproject({ x: 0, y: 0 }),
+            bottomRight = me.unproject({ x: width, y: height }),
+            lines = [];
+
+        for (let lon = Math.ceil(topLeft.lon / step) * step; lon <= bottomRight.lon; lon += step) {
+            const { x } = me.project({ lat: 0, lon });
+
+            lines.push(`M${x},0V${height}`);
+        }
+
+        for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+            const { y } = me.project({ lat, lon: 0 });
+
+            lines.push(`M0,${y}H${width}`);
+        }
+
+        me.gridGroup.innerHTML = `<path d="${lines.join('')}"></path>`;
+    }
+
+    renderPolyline({ element, points }) {
+        element.setAttribute('points', points.map(location => {
+            const { x, y } = this.project(location);
+
+            return `${x},${y}`;
+        }).join(' '));
+    }
+
+    position(element, location, offset = 0) {
+        const { x, y } = this.project(location);
+
+        element.style.left = `${x}px`;
+        element.style.top = `${y - offset}px`;
+    }
+
+    //endregion
+
+    //region Markers, popups & polylines
+
+    addMarker({ location, color, element }) {
+        const
+            me = this,
+            marker = {
+                element: element || createElement('div', 'b-svg-map-pin'),
+                location,
+                setLocation(location) {
+                    marker.location = location;
+                    me.position(marker.element, location);
+                },
+                remove() {
+                    marker.element.remove();
+                    me.markers.delete(marker);
+                }
+            };
+
+        marker.element.classList.add('b-map-marker');
+
+        if (color && !element) {
+            marker.element.style.color = color;
+        }
+
+        me.markerContainer.appendChild(marker.element);
+        me.markers.add(marker);
+        me.position(marker.element, location);
+
+        return marker;
+    }
+
+    showPopup({ location, html, offset = 0 }) {
+        const
+            me = this,
+            element = createElement('div', 'b-svg-map-popup', me.popupContainer),
+            closeButton = createElement('button', 'b-svg-map-popup-close', element),
+            content = createElement('div', 'b-svg-map-popup-content', element),
+            popup = {
+                element,
+                location,
+                offset,
+                remove() {
+                    element.remove();
+                    me.popups.delete(popup);
+                }
+            };
+
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', () => popup.remove());
+        content.innerHTML = html;
+
+        me.popups.add(popup);
+        me.position(element, location, offset);
+
+        return popup;
+    }
+
+    addPolyline({ id, points, color = '#3f51b5', width = 3, opacity = 0.8 }) {
+        const
+            me = this,
+            polyline = {
+                id,
+                points,
+                element: createElement('polyline', 'b-svg-map-line', me.lineGroup, svgNS)
+            },
+            handle = {
+                setPoints(points) {
+                    polyline.points = points;
+                    me.renderPolyline(polyline);
+                },
+                setStyle({ color, width, opacity }) {
+                    const { style } = polyline.element;
+
+                    color != null && (style.stroke = color);
+                    width != null && (style.strokeWidth = width);
+                    opacity != null && (style.strokeOpacity = opacity);
+                },
+                remove() {
+                    polyline.element.remove();
+
+                    if (me.polylines.get(id) === polyline) {
+                        me.polylines.delete(id);
+                    }
+                }
+            };
+
+        me.polylines.get(id)?.element.remove();
+        me.polylines.set(id, polyline);
+
+        handle.setStyle({ color, width, opacity });
+        me.renderPolyline(polyline);
+
+        return handle;
+    }
+
+    //endregion
+
+    //region Navigation
+
+    getView() {
+        return {
+            center: this.center,
+            zoom: this.zoom
+        };
+    }
+
+    setView(center, zoom = this.zoom) {
+        this.center = center;
+        this.zoom = Math.max(Math.min(zoom, maxZoom), minZoom);
+        this.render();
+    }
+
+    fitBounds(locations, { padding = 40, maxZoom = 14 } = {}) {
+        const bounds = MapAdapter.getBounds(locations);
+
+        if (bounds) {
+            const
+                // Measure at zoom 0, one tile for the world
+                northWest = this.toWorld({ lat: bounds.north, lon: bounds.west }, tileSize),
+                southEast = this.toWorld({ lat: bounds.south, lon: bounds.east }, tileSize),
+                spanX = southEast.x - northWest.x,
+                spanY = southEast.y - northWest.y,
+                // Padding takes at most half of a small map, so there is room left to fit into
+                room = size => Math.max(size - 2 * padding, size / 2),
+                scale = Math.min(
+                    spanX ? room(this.width) / spanX : Infinity,
+                    spanY ? room(this.height) / spanY : Infinity
+                );
+
+            this.setView(
+                this.fromWorld({ x: (northWest.x + southEast.x) / 2, y: (northWest.y + southEast.y) / 2 }, tileSize),
+                Math.min(Math.log2(scale), maxZoom)
+            );
+        }
+    }
+
+    panTo(location) {
+        this.setView(location);
+    }
+
+    zoomIn() {
+        this.setView(this.center, Math.round(this.zoom) + 1);
+    }
+
+    zoomOut() {
+        this.setView(this.center, Math.round(this.zoom) - 1);
+    }
+
+    // Zooms keeping the location under point in place
+    zoomAround(point, zoom) {
+        const location = this.unproject(point);
+
+        this.zoom = Math.max(Math.min(zoom, maxZoom), minZoom);
+
+        const moved = this.project(location);
+
+        this.setView(this.unproject({
+            x: this.width / 2 + moved.x - point.x,
+            y: this.height / 2 + moved.y - point.y
+        }));
+    }
+
+    setStyle(style) {
+        this.style = style;
+        this.root.classList.toggle('b-svg-map-dark', style === 'dark');
+    }
+
+    resize() {
+        // Detached or hidden elements have no size, use a sensible default so projection still works
+        this.width = this.root.clientWidth || 600;
+        this.height = this.root.clientHeight || 400;
+
+        this.svg.setAttribute('width', this.width);
+        this.svg.setAttribute('height', this.height);
+
+        this.render();
+    }
+
+    //endregion
+
+    //region Pointer handling
+
+    getPoint(event) {
+        const rect = this.root.getBoundingClientRect();
+
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    onPointerDown(event) {
+        // Markers and popups handle their own clicks
+        if (event.button !== 0 || event.target.closest('.b-map-marker, .b-svg-map-popup')) {
+            return;
+        }
+
+        this.pointerStart = {
+            point: this.getPoint(event),
+            center: this.toWorld(this.center),
+            moved: false
+        };
+
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    onPointerMove(event) {
+        const
+            { pointerStart } = this,
+            point = this.getPoint(event),
+            deltaX = point.x - pointerStart.point.x,
+            deltaY = point.y - pointerStart.point.y;
+
+        if (pointerStart.moved || Math.abs(deltaX) > clickTolerance || Math.abs(deltaY) > clickTolerance) {
+            pointerStart.moved = true;
+            this.root.classList.add('b-panning');
+
+            this.setView(this.fromWorld({
+                x: pointerStart.center.x - deltaX,
+                y: pointerStart.center.y - deltaY
+            }));
+        }
+    }
+
+    onPointerUp(event) {
+        const { pointerStart } = this;
+
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        this.pointerStart = null;
+        this.root.classList.remove('b-panning');
+
+        if (!pointerStart.moved) {
+            const point = this.getPoint(event);
+
+            this.trigger('click', {
+                location: this.unproject(point),
+                point,
+                originalEvent: event
+            });
+        }
+    }
+
+    onWheel(event) {
+        event.preventDefault();
+
+        this.zoomAround(this.getPoint(event), this.zoom - Math.sign(event.deltaY) * 0.5);
+    }
+
+    //endregion
+
+    destroy() {
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        this.root.remove();
+        this.markers.clear();
+        this.popups.clear();
+
+        super.destroy();
+    }
+}
@@ -1,16 +1,50 @@
 ﻿import ResourceModel from './lib/SchedulerPro/model/ResourceModel.js';
+import BoardConfig from './BoardConfig.js';
+
+// Colors telling technicians apart on the map
+const routeColors = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fdd835', '#fb8c00', '#6d4c41', '#546e7a'];
 
 // Custom Room model, based on ResourceModel with additional fields
 export default class Technician extends ResourceModel {
     static get fields() {
         return [
             'resourceTypeId',
-            'currentEventTypeId',
-            'currentEventType',
-            'statusId',
+            // Status and position are reported by the technicians in the field, see LiveUpdates. The board never saves
+            // them, so they are not persistable, which also keeps them out of undo
+            { name: 'currentEventTypeId', persist: false },
+            { name: 'currentEventType', persist: false },
+            { name: 'statusId', persist: false },
+            { name: 'lat', type: 'number', persist: false },
+            { name: 'lon', type: 'number', persist: false },
+            { name: 'heading', type: 'number', persist: false },
+            { name: 'positionAt', type: 'date', persist: false },
             'primaryDisciplineId', 
             'primaryDisciplineName',
-            'alias'
+            'alias',
+            // Discipline ids or names, and extra skills such as licenses, beyond the primary discipline
+            { name: 'secondarySkills', defaultValue: [] },
+            // Id of the calendar with the technician's working hours. Only advisory, drops are checked against it, see
+            // DropValidator, but the engine does not schedule on it like it would on the calendar field, which would
+            // move appointments booked outside working hours. Defaults to the defaultWorkingHours of the board config
+            { name: 'workingHours' }
         ];
     }
+
+    get workingCalendar() {
+        const id = this.workingHours ?? BoardConfig.defaultWorkingHours;
+
+        return id != null && this.project?.calendarManagerStore.getById(id) || null;
+    }
+
+    // Color of the technician's route on the map, stays the same between loads
+    get routeColor() {
+        const id = String(this.id);
+        let hash = 0;
+
+        for (let i = 0; i < id.length; i++) {
+            hash = (hash * 31 + id.charCodeAt(i)) | 0;
+        }
+
+        return routeColors[Math.abs(hash) % routeColors.length];
+    }
 }
\ No newline at end of file
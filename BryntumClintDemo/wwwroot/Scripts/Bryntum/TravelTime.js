@@ -0,0 +1,98 @@
+﻿// Estimates how long a technician drives between two appointments. Kept free of any Bryntum dependency so it can be
+// used by the board as well as by headless code
+
+const
+    earthRadiusMiles = 3958.8,
+    toRadians = degrees => degrees * Math.PI / 180,
+    locationKey = location => `${location.lat},${location.lon}`;
+
+// Straight-line distance in miles between two { lat, lon } locations
+export function distance(from, to) {
+    const
+        dLat = toRadians(to.lat - from.lat),
+        dLon = toRadians(to.lon - from.lon),
+        a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * earthRadiusMiles * Math.asin(Math.sqrt(a));
+}
+
+// Default provider, drives the straight-line distance at an average speed. Roads are rarely straight, detourFactor
+// makes up for that
+export class StraightLineProvider {
+    constructor({ speed = 30, detourFactor = 1.3 } = {}) {
+        this.speed = speed;
+        this.detourFactor = detourFactor;
+    }
+
+    // Driving time in ms between two { lat, lon } locations, rounded up to whole minutes
+    getDuration(from, to) {
+        return Math.ceil(distance(from, to) * this.detourFactor / this.speed * 60) * 60000;
+    }
+}
+
+// Wraps a provider and caches its answers. A provider is any object with a getDuration(from, to) method returning the
+// driving time in ms, or a Promise of it for providers backed by a routing service. Until a Promise resolves the
+// straight-line estimate is used, onUpdate is called once the real durations are in
+export default class TravelTime {
+    constructor({ provider, fallback = new StraightLineProvider(), onUpdate = null } = {}) {
+        this.provider = provider || fallback;
+        this.fallback = fallback;
+        this.onUpdate = onUpdate;
+        this.cache = new Map();
+    }
+
+    // Driving time in ms between two { lat, lon } locations, null if either is unknown. Always whole ms, so it can be
+    // added to dates without rounding errors
+    getDuration(from, to) {
+        if (!from || !to) {
+            return null;
+        }
+
+        const key = `${locationKey(from)}>${locationKey(to)}`;
+
+        if (!this.cache.has(key)) {
+            const duration = this.provider.getDuration(from, to);
+
+            if (duration && typeof duration.then === 'function') {
+                this.cache.set(key, this.fallback.getDuration(from, to));
+
+                duration.then(
+                    resolved => {
+                        this.cache.set(key, Math.round(resolved));
+                        this.scheduleUpdate();
+                    },
+                    // Keep the estimate when routing fails
+                    () => {}
+                );
+            }
+            else {
+                this.cache.set(key, duration == null ? null : Math.round(duration));
+            }
+        }
+
+        return this.cache.get(key);
+    }
+
+    // Durations from a provider tend to arrive in bursts, report them together
+    scheduleUpdate() {
+        if (this.onUpdate && !this.updateTimer) {
+            this.updateTimer = setTimeout(() => {
+                this.updateTimer = null;
+                this.onUpdate();
+            }, 100);
+        }
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+// Duration in ms as shown to dispatchers, for example "1 h 5 min"
+export function formatDuration(ms) {
+    const
+        minutes = Math.round(ms / 60000),
+        hours = Math.floor(minutes / 60);
+
+    return hours ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+}
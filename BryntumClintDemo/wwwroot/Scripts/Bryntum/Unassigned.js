@@ -1,4 +1,8 @@
 ﻿import Grid from './lib/Grid/view/Grid.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
+import Toast from './lib/Core/widget/Toast.js';
+import BoardConfig from './BoardConfig.js';
+import SlaPolicy, { tiers, tierNames, tierCls, formatRemaining } from './Sla.js';
 
 export default class UnplannedGrid extends Grid {
     static get defaultConfig() {
@@ -27,7 +31,12 @@ export default class UnplannedGrid extends Grid {
             }, {
                 text: 'Address',
                 width: 200,
-                field: 'street'
+                field: 'street',
+                htmlEncode: false,
+                // Flag addresses that could not be located, they are missing from the map
+                renderer: ({ record, value }) => record.geocodeStatus === 'unresolved'
+                    ? StringHelper.xss`<i class="b-fa b-fa-map-marker-alt b-unresolved-address" data-qtip="Address could not be located, not shown on the map"></i>${value}`
+                    : StringHelper.encodeHtml(value ?? '')
             }, {
                 text: 'City',
                 width: 120,
@@ -56,6 +65,24 @@ export default class UnplannedGrid extends Grid {
                 text: 'Due',
                 width: 150,
                 field: 'due'
+            }, {
+                text: 'SLA',
+                width: 150,
+                field: 'slaRemaining',
+                // Least time left first, appointments without a due date last
+                sortable: (a, b) => (a.slaRemaining ?? Infinity) - (b.slaRemaining ?? Infinity),
+                renderer: ({ record, row, value }) => {
+                    // Color the whole row by escalation tier
+                    row.assignCls(Object.fromEntries(tierCls.map((cls, tier) => [`b-sla-${cls}`, record.slaTier === tier])));
+
+                    return value == null ? '' : formatRemaining(value);
+                }
+            }, {
+                text: 'Urgency',
+                width: 90,
+                field: 'slaTier',
+                renderer: ({ value }) => tierNames[value] ?? '',
+                groupRenderer: ({ groupRowFor, count }) => StringHelper.xss`${tierNames[groupRowFor] ?? 'No due date'} (${count})`
             }, {
                 text: 'Tech',
                 width: 150,
@@ -74,6 +101,28 @@ export default class UnplannedGrid extends Grid {
                 field: 'codes'
             }],
 
+            tbar: [
+                {
+                    type: 'button',
+                    ref: 'autoDispatch',
+                    icon: 'b-fa-magic',
+                    text: 'Auto-dispatch',
+                    tooltip: 'Propose technicians for the selected appointments, or for all of them if none are selected',
+                    onClick: 'up.onAutoDispatchClick'
+                },
+                {
+                    type: 'button',
+                    ref: 'groupByUrgency',
+                    icon: 'b-fa-layer-group',
+                    text: 'Group by urgency',
+                    enableToggle: true,
+                    onToggle: 'up.onGroupByUrgencyToggle'
+                }
+            ],
+
+            // How often the SLA countdown ticks, in ms
+            slaInterval: 30000,
+
             rowHeight: 30,
 
             disableGridRowModelWarning: true
@@ -84,17 +133,132 @@ export default class UnplannedGrid extends Grid {
         return 'UnplannedGrid';
     }
 
+    construct(config) {
+        super.construct(config);
+
+        this.setInterval(() => this.updateSla(), this.slaInterval);
+        this.updateSla();
+    }
+
+    // Thresholds come from the board config, see Sla.js
+    get slaPolicy() {
+        return this._slaPolicy || (this._slaPolicy = new SlaPolicy(BoardConfig.sla));
+    }
+
+    // Works out the time left and escalation tier of the unassigned appointments, and alerts about those that became
+    // breached since the last time
+    updateSla() {
+        const
+            me = this,
+            { slaPolicy, store } = me,
+            now = new Date(),
+            breached = [],
+            changed = [];
+
+        if (!store) {
+            return;
+        }
+
+        store.forEach(appointment => {
+            const
+                sla = slaPolicy.evaluate(appointment, now),
+                tier = sla ? sla.tier : null;
+
+            // Time left changes on every tick, set it silently and redraw the column once below
+            appointment.set('slaRemaining', sla ? sla.remaining : null, true);
+
+            if (tier !== appointment.slaTier) {
+                // Those already breached when loaded are not news
+                if (tier === tiers.breached && appointment.slaTier != null) {
+                    breached.push(appointment);
+                }
+
+                // Silently too, an update would have the map and the utilization redraw on every tick with a change
+                appointment.set('slaTier', tier, true);
+                changed.push(appointment);
+            }
+        });
+
+        if (changed.length && me.isGroupedByUrgency) {
+            // Moves the changed ones to their new group, which redraws all rows
+            store.group('slaTier', store.groupers[0].ascending);
+        }
+        else if (me.isPainted) {
+            // Also colors the rows by tier
+            me.refreshColumn(me.columns.get('slaRemaining'));
+
+            changed.forEach(appointment => {
+                const
+                    row = me.getRowFor(appointment),
+                    cellElement = row?.getCell('slaTier');
+
+                if (cellElement) {
+                    row.renderCell({ cellElement, record: appointment });
+                }
+            });
+        }
+
+        if (breached.length) {
+            Toast.show({
+                html: StringHelper.xss`SLA breached for ${breached.length === 1 ? `service order ${breached[0].serviceOrderId}` : `${breached.length} unassigned appointments`}`,
+                cls: 'b-sla-toast',
+                timeout: 10000
+            });
+
+            me.trigger('slaBreach', { appointments: breached });
+        }
+    }
+
+    get isGroupedByUrgency() {
+        return this.store.groupers?.[0]?.field === 'slaTier';
+    }
+
+    onGroupByUrgencyToggle({ pressed }) {
+        if (pressed && !this.isGroupedByUrgency) {
+            this.store.group('slaTier');
+        }
+        else if (!pressed && this.isGroupedByUrgency) {
+            this.store.clearGroupers();
+        }
+    }
+
+    // Grouping may also change from elsewhere, such as when a saved layout is restored (see BoardState)
+    onStoreGroup() {
+        this.widgetMap.groupByUrgency.pressed = this.isGroupedByUrgency;
+    }
+
+    // Lets the app run auto-dispatch on the Schedule
+    onAutoDispatchClick() {
+        const { selectedRecords, store } = this;
+
+        this.trigger('autoDispatch', {
+            // Leave out the group headers when grouped by urgency
+            appointments: (selectedRecords.length ? selectedRecords : store.records).filter(record => !record.isSpecialRow)
+        });
+    }
+
     set project(project) {
         // Create a chained version of the event store as our store. It will be filtered to only display events that
         // lack assignments
         this.store = project.eventStore.chain(eventRecord => !eventRecord.assignments.length);
 
+        this.store.on({
+            group: 'onStoreGroup',
+            thisObj: this
+        });
+
         // When assignments change, update our chained store to reflect the changes
         project.assignmentStore.on({
             change() {
                 this.store.fillFromMaster();
+                this.updateSla();
             },
             thisObj: this
         });
+
+        project.on({
+            load: 'updateSla',
+            thisObj: this
+        });
     }
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+﻿// Linked visits of a service order. Dropping an unassigned appointment onto a scheduled one links them with a
+// dependency, the follow-up visit is then scheduled by the engine from the visit before it. Appointments connected by
+// links form a chain. Kept free of any Bryntum dependency like TravelTime, works on anything with fromEvent and toEvent
+
+// Named event colors telling chains apart, indigo and gray are left out since they are used for unlinked appointments
+export const chainColors = ['orange', 'teal', 'pink', 'lime', 'cyan', 'deep-orange', 'purple', 'green', 'red', 'blue'];
+
+// Labels of the dependency types, by type number
+export const linkTypes = [
+    { id: 2, name: 'Starts after the previous visit ends' },
+    { id: 0, name: 'Starts after the previous visit starts' },
+    { id: 3, name: 'Ends after the previous visit ends' },
+    { id: 1, name: 'Ends after the previous visit starts' }
+];
+
+function hash(value) {
+    const text = String(value);
+    let result = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        result = (result * 31 + text.charCodeAt(i)) | 0;
+    }
+
+    return Math.abs(result);
+}
+
+// Chains of the visits connected by the links, as a Map of visit to { id, visits, index, color }. visits are in link
+// order starting with the first visit, index is the position of the visit in them. A chain is identified, and
+// colored, by its first visit so the color stays when visits are added to it
+export function getChains(links) {
+    const
+        next = new Map(),
+        previous = new Map(),
+        chains = new Map(),
+        add = (map, key, value) => (map.get(key) || map.set(key, []).get(key)).push(value);
+
+    for (const { fromEvent, toEvent } of links) {
+        if (fromEvent && toEvent) {
+            add(next, fromEvent, toEvent);
+            add(previous, toEvent, fromEvent);
+        }
+    }
+
+    for (const start of next.keys()) {
+        if (chains.has(start)) {
+            continue;
+        }
+
+        // Collect the whole chain, links may branch and be walked in both directions
+        const
+            members = new Set([start]),
+            pending = [start];
+
+        while (pending.length) {
+            const visit = pending.pop();
+
+            [...(next.get(visit) || []), ...(previous.get(visit) || [])].forEach(linked => {
+                if (!members.has(linked)) {
+                    members.add(linked);
+                    pending.push(linked);
+                }
+            });
+        }
+
+        // Order them by following the links from the visits nothing leads to, breadth first
+        const
+            visits = [...members].filter(visit => !previous.has(visit)),
+            visited = new Set(visits);
+
+        for (let i = 0; i < visits.length; i++) {
+            (next.get(visits[i]) || []).forEach(linked => {
+                // Links only leading back to earlier visits would be skipped, a cycle has no first visit
+                if (!visited.has(linked) && previous.get(linked).every(visit => visited.has(visit))) {
+                    visited.add(linked);
+                    visits.push(linked);
+                }
+            });
+        }
+
+        // Visits in a cycle, which the engine rejects, are added last so they still belong to the chain
+        members.forEach(visit => !visited.has(visit) && visits.push(visit));
+
+        const
+            id = visits[0].id,
+            color = chainColors[hash(id) % chainColors.length];
+
+        visits.forEach((visit, index) => chains.set(visit, { id, visits, index, color }));
+    }
+
+    return chains;
+}
@@ -5,24 +5,39 @@ import Schedule from './Schedule.js';
 import Technician from './Technician.js';
 import Appointment from './Appointment.js';
 import Unassigned from './Unassigned.js';
+import BoardConfig from './BoardConfig.js';
+import LiveUpdates, { WebSocketTransport } from './LiveUpdates.js';
+import Geocoder, { ZipCentroidProvider } from './Geocoder.js';
+import AddressLocator from './AddressLocator.js';
+import ServiceOrderDrawer from './ServiceOrderDrawer.js';
+import BoardState from './BoardState.js';
+import KeyboardDispatch from './KeyboardDispatch.js';
+import Toast from './lib/Core/widget/Toast.js';
+import DateHelper from './lib/Core/helper/DateHelper.js';
+import StringHelper from './lib/Core/helper/StringHelper.js';
 import './lib/Scheduler/column/ResourceInfoColumn.js';
 import './lib/Scheduler/feature/TimeRanges.js';
 
-const currentDate = new Date();
-const startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), 7, 0, 0);
-const endDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), 21, 0, 0);
+// The shown range is kept in the url, like ?range=week&date=2021-07-07, so a link opens the board on the same view
+const urlParams = new URLSearchParams(window.location.search);
+const urlDate = urlParams.has('date') && DateHelper.parse(urlParams.get('date'), 'YYYY-MM-DD');
 
 const schedule = new Schedule({
     ref: 'schedule',
     insertFirst: 'main',
     //flex: '1 1 75%',
     flex: 4,
-    startDate: startDate,
-    endDate: endDate,
-    visibleDate: currentDate,
+    range: urlParams.get('range') || 'day',
+    rangeDate: DateHelper.isValidDate(urlDate) ? urlDate : new Date(),
     
     project: {
         autoLoad: true,
+        // Each change is sent to the server shortly after it is made
+        autoSync: true,
+        // Changes are recorded for undo/redo, the Schedule enables tracking once data is loaded
+        stm: {
+            autoRecord: true
+        },
         resourceModelClass: Technician,
         eventModelClass: Appointment,
         resourceStore: {
@@ -32,13 +47,29 @@ const schedule = new Schedule({
             storeId: 'appointments',
             removeUnassignedEvent: false
         },
+        assignmentStore: {
+            storeId: 'assignments'
+        },
+        dependencyStore: {
+            storeId: 'dependencies'
+        },
         calendarStore: {
             storeId: 'calendars'
         },
         transport: {
             load: {
-                url: '/ScheduleBoard/Scripts/Bryntum/data/data.json'
+                url: BoardConfig.loadUrl
+            },
+            sync: {
+                url: BoardConfig.syncUrl
             }
+        },
+        listeners: {
+            // Failed syncs are retried with the next change, the changes stay on the board until then
+            requestFail: ({ requestType, response }) => Toast.show({
+                html: StringHelper.xss`Could not ${requestType === 'load' ? 'load the board' : 'save changes'}${response?.message ? `: ${response.message}` : ''}`,
+                timeout: 10000
+            })
         }
     },
     listeners: {
@@ -53,7 +84,22 @@ const schedule = new Schedule({
             if (eventRecord.marker) {
                 mapPanel.scrollMarkerIntoView(eventRecord);
             }
-        }
+        },
+
+        rangeChange: ({ range, date }) => {
+            urlParams.set('range', range);
+            urlParams.set('date', DateHelper.format(date, 'YYYY-MM-DD'));
+            window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}`);
+        },
+
+        // Selecting a technician row shows only that technician's route on the map
+        selectionChange: ({ selection }) => {
+            mapPanel.highlightTechnician(selection.length === 1 && selection[0].isModel && !selection[0].isSpecialRow ? selection[0] : null);
+        },
+
+        resetLayout: () => boardState.reset().catch(error => schedule.actions.showFailure('reset the layout', error)),
+
+        showShortcuts: () => keyboardDispatch.showShortcuts()
     }
 });
 
@@ -65,9 +111,16 @@ const unassignedGrid = new Unassigned({
     ref: 'unplanned',
     appendTo: 'container',
     flex: '1 1 25%',
-    project: schedule.project
+    project: schedule.project,
+    listeners: {
+        // Proposals show as ghost events on the schedule, to accept or reject there
+        autoDispatch: ({ appointments }) => schedule.autoDispatch(appointments)
+    }
 });
 
+// Appointments dragged from the schedule onto the grid are unassigned
+schedule.unassignTarget = unassignedGrid;
+
 // Handles dragging
 const drag = new Drag({
     grid: unassignedGrid,
@@ -77,7 +130,7 @@ const drag = new Drag({
 });
 
 // A draggable splitter between the two main widgets
-new Splitter({
+const mapSplitter = new Splitter({
     appendTo: 'main'
 });
 
@@ -86,12 +139,102 @@ const mapPanel = new MapPanel({
     appendTo: 'main',
     flex: 1,
     eventStore: schedule.eventStore,
+    assignmentStore: schedule.assignmentStore,
+    resourceStore: schedule.resourceStore,
     timeAxis: schedule.timeAxis,
+    travelTime: schedule.travelTime,
     listeners: {
         // When a map marker is clicked, scroll the event bar into view and highlight it
         markerclick: async ({ eventRecord }) => {
+            // Unassigned appointments are not on the schedule, select them in the grid instead
+            if (!eventRecord.assignments.length) {
+                unassignedGrid.selectedRecord = eventRecord;
+                unassignedGrid.scrollRowIntoView(eventRecord);
+                return;
+            }
+
             await schedule.scrollEventIntoView(eventRecord, { animate: true, highlight: true });
             schedule.selectedEvents = [eventRecord];
-        }
+        },
+
+        // Markers selected with the box or lasso tool are selected on the schedule and in the grid too
+        markerselectionchange: ({ selection }) => {
+            schedule.selectedEvents = selection.filter(appointment => appointment.assignments.length);
+            unassignedGrid.selectedRecords = selection.filter(appointment => !appointment.assignments.length);
+        },
+
+        bulkaction: ({ action, appointments }) => schedule.actions.runBulk(action, appointments)
+            .catch(error => schedule.actions.showFailure('update the selected appointments', error))
     }
 });
+
+// Everything about one appointment, docked to the right of the map. Opened from the schedule, see Schedule#showServiceOrderDrawer
+schedule.serviceOrderDrawer = new ServiceOrderDrawer({
+    ref: 'serviceOrder',
+    appendTo: 'main',
+    schedule
+});
+
+// Unassigned appointments can also be dragged from their map markers, following the same rules
+const mapDrag = new Drag({
+    grid: unassignedGrid,
+    schedule: schedule,
+    constrain: false,
+    outerElement: mapPanel.element,
+    targetSelector: '.b-unassigned-stop',
+    resolveAppointment: element => schedule.eventStore.getById(element.dataset.eventId)
+});
+
+// Columns, grouping, pane sizes and map view are kept per user across sessions. A range in the url wins over the saved one
+const boardState = new BoardState({
+    schedule,
+    unassignedGrid,
+    mapPanel,
+    splitters: [splitter, mapSplitter],
+    panes: {
+        main: document.getElementById('main'),
+        unassigned: unassignedGrid,
+        schedule,
+        map: mapPanel
+    },
+    user: BoardConfig.user,
+    restoreRange: !urlParams.has('range') && !urlParams.has('date')
+});
+
+boardState.restore().catch(error => schedule.actions.showFailure('restore the layout', error));
+
+// Dispatching from the keyboard, press ? for the keys. Each dispatcher can change them, they are kept per user
+const keyboardDispatch = new KeyboardDispatch({
+    schedule,
+    unassignedGrid,
+    keyBindings: BoardConfig.keyBindings,
+    user: BoardConfig.user
+});
+
+keyboardDispatch.restore().catch(error => schedule.actions.showFailure('restore the keyboard shortcuts', error));
+
+// Appointments without coordinates are located from their address, so they show on the map
+new AddressLocator({
+    eventStore: schedule.eventStore,
+    geocoder: new Geocoder({
+        provider: BoardConfig.geocodeProvider || new ZipCentroidProvider({ url: BoardConfig.zipCentroidsUrl })
+    })
+});
+
+// Technician status and positions pushed from the field
+if (BoardConfig.liveUpdatesUrl) {
+    const liveUpdates = new LiveUpdates({
+        resourceStore: schedule.resourceStore,
+        transport: new WebSocketTransport({ url: BoardConfig.liveUpdatesUrl }),
+        listeners: {
+            position: ({ technician }) => mapPanel.showTechnicianPosition(technician),
+            connectionChange: ({ connected }) => {
+                if (!connected) {
+                    Toast.show('Live technician updates disconnected, reconnecting');
+                }
+            }
+        }
+    });
+
+    liveUpdates.start();
+}